@@ -1,62 +1,2474 @@
 // App.jsx
-import React, { useState, useEffect, useMemo, Suspense, useRef } from "react";
-import { Canvas, useLoader } from "@react-three/fiber";
-import { OrbitControls, Environment, TransformControls, Center, useGLTF } from "@react-three/drei";
+import React, { useState, useEffect, useMemo, useCallback, Suspense, useRef } from "react";
+import { Canvas, useLoader, useThree, useFrame } from "@react-three/fiber";
+import { OrbitControls, OrthographicCamera, Environment, TransformControls, Center, useGLTF, Html, Line } from "@react-three/drei";
 import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+
+/* ---------- Helpers: room outline (polygon) geometry ---------- */
+// Outlines are arrays of [x, z] vertices in plan view (x → right, z → toward the viewer).
+const UNIT_TO_METERS = { m: 1, ft: 0.3048, in: 0.0254 };
+
+// Preset outlines in meters (converted to the room unit when applied)
+const ROOM_SHAPE_PRESETS = {
+  "L-shape": [[0, 0], [5, 0], [5, 2.5], [2.5, 2.5], [2.5, 4], [0, 4]],
+  "U-shape": [[0, 0], [1.8, 0], [1.8, 2.2], [3.2, 2.2], [3.2, 0], [5, 0], [5, 4], [0, 4]],
+  "Chimney notch": [[0, 0], [1.8, 0], [1.8, 0.5], [2.6, 0.5], [2.6, 0], [4.5, 0], [4.5, 3.5], [0, 3.5]],
+  Rectangle: [[0, 0], [4, 0], [4, 3], [0, 3]],
+};
+
+const roundTo = (v, digits = 3) => {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+};
+
+function rectOutline(sizeX, sizeY) {
+  const hx = sizeX / 2;
+  const hz = sizeY / 2;
+  return [[-hx, -hz], [hx, -hz], [hx, hz], [-hx, hz]];
+}
+
+function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, z1] = points[i];
+    const [x2, z2] = points[(i + 1) % points.length];
+    sum += x1 * z2 - x2 * z1;
+  }
+  return Math.abs(sum) / 2;
+}
+
+function polygonPerimeter(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, z1] = points[i];
+    const [x2, z2] = points[(i + 1) % points.length];
+    sum += Math.hypot(x2 - x1, z2 - z1);
+  }
+  return sum;
+}
+
+function polygonBounds(points) {
+  let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  points.forEach(([x, z]) => {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minZ = Math.min(minZ, z);
+    maxZ = Math.max(maxZ, z);
+  });
+  return {
+    minX, maxX, minZ, maxZ,
+    width: maxX - minX,
+    depth: maxZ - minZ,
+    cx: (minX + maxX) / 2,
+    cz: (minZ + maxZ) / 2,
+  };
+}
+
+// Translate an outline so its bounding box is centered on the origin
+function centerOutline(points) {
+  if (!points.length) return points;
+  const b = polygonBounds(points);
+  return points.map(([x, z]) => [x - b.cx, z - b.cz]);
+}
+
+// Stretch a centered outline so its bounding box becomes sizeX × sizeY (fixed preview mode)
+function fitOutlineToBox(points, sizeX, sizeY) {
+  const b = polygonBounds(points);
+  const sx = b.width > 0 ? sizeX / b.width : 1;
+  const sz = b.depth > 0 ? sizeY / b.depth : 1;
+  return points.map(([x, z]) => [(x - b.cx) * sx, (z - b.cz) * sz]);
+}
+
+function pointInPolygon(x, z, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, zi] = points[i];
+    const [xj, zj] = points[j];
+    if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function closestPointOnSegment(px, pz, [ax, az], [bx, bz]) {
+  const dx = bx - ax;
+  const dz = bz - az;
+  const len2 = dx * dx + dz * dz;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, ((px - ax) * dx + (pz - az) * dz) / len2)) : 0;
+  return [ax + t * dx, az + t * dz];
+}
+
+// Keep a point inside the outline by snapping it to the nearest wall when outside
+function clampPointToPolygon(x, z, points) {
+  if (points.length < 3 || pointInPolygon(x, z, points)) return [x, z];
+  let best = [x, z];
+  let bestD = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    const [cx, cz] = closestPointOnSegment(x, z, points[i], points[(i + 1) % points.length]);
+    const d = (cx - x) ** 2 + (cz - z) ** 2;
+    if (d < bestD) {
+      bestD = d;
+      best = [cx, cz];
+    }
+  }
+  return best;
+}
+
+function segmentsCross([a, b], [c, d]) {
+  const orient = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  const o1 = orient(a, b, c);
+  const o2 = orient(a, b, d);
+  const o3 = orient(c, d, a);
+  const o4 = orient(c, d, b);
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+function polygonSelfIntersects(points) {
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      // Skip neighbouring edges (they share a vertex)
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+      if (segmentsCross([points[i], points[(i + 1) % n]], [points[j], points[(j + 1) % n]])) return true;
+    }
+  }
+  return false;
+}
+
+// One entry per wall: midpoint, length and the Y rotation that makes a plane face into the room
+function wallSegmentsFromOutline(points) {
+  return points.map((start, i) => {
+    const end = points[(i + 1) % points.length];
+    const dx = end[0] - start[0];
+    const dz = end[1] - start[1];
+    const length = Math.hypot(dx, dz);
+    const mid = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+    let normal = length > 0 ? [-dz / length, dx / length] : [0, 1];
+    const probe = Math.max(0.01, length * 0.001);
+    if (!pointInPolygon(mid[0] + normal[0] * probe, mid[1] + normal[1] * probe, points)) {
+      normal = [-normal[0], -normal[1]];
+    }
+    return { start, end, length, mid, normal, rotationY: Math.atan2(normal[0], normal[1]) };
+  });
+}
+
+const RECT_WALL_LABELS = ["Back wall", "Right wall", "Front wall", "Left wall"];
+
+/* ---------- Helpers: furniture placement ---------- */
+// A footprint is an object's plan rectangle: centre (x, z), half sizes (hx, hz) and Y rotation.
+// Models face local +z, so the back is the local -z side.
+const DEFAULT_MODEL_SIZE = { sizeX: 0.8, sizeZ: 1.2, height: 0.6 }; // stand-in for items without a known size
+const WALL_SNAP_M = 0.25; // backs and sides this close to a wall snap flush
+const FLUSH_GAP_M = 0.05; // gaps below this count as pushed together, not as a walkway
+const PLACE_EPS = 1e-4;
+
+function objectFootprint(obj, size = obj.standInSize || DEFAULT_MODEL_SIZE) {
+  const [x, , z] = obj.position || [0, 0, 0];
+  const s = obj.scale || 1;
+  return { x, z, hx: (size.sizeX * s) / 2, hz: (size.sizeZ * s) / 2, rotY: obj.rotationY || 0 };
+}
+
+// Local axes in plan: right (+x) and forward (+z)
+function footprintAxes({ rotY }) {
+  const c = Math.cos(rotY);
+  const s = Math.sin(rotY);
+  return [[c, -s], [s, c]];
+}
+
+function footprintCorners(fp, inset = 0) {
+  const [ax, az] = footprintAxes(fp);
+  const hx = Math.max(0, fp.hx - inset);
+  const hz = Math.max(0, fp.hz - inset);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => [
+    fp.x + ax[0] * hx * sx + az[0] * hz * sz,
+    fp.z + ax[1] * hx * sx + az[1] * hz * sz,
+  ]);
+}
+
+// Separating-axis test; returns the shortest push [dx, dz] that moves `a` off `b`, or null when apart
+function footprintOverlap(a, b) {
+  const axes = [...footprintAxes(a), ...footprintAxes(b)];
+  const radius = (fp, axis) => {
+    const [ax, az] = footprintAxes(fp);
+    return fp.hx * Math.abs(ax[0] * axis[0] + ax[1] * axis[1]) + fp.hz * Math.abs(az[0] * axis[0] + az[1] * axis[1]);
+  };
+  let best = null;
+  for (const axis of axes) {
+    const dc = (a.x - b.x) * axis[0] + (a.z - b.z) * axis[1];
+    const depth = radius(a, axis) + radius(b, axis) - Math.abs(dc);
+    if (depth <= PLACE_EPS) return null;
+    if (!best || depth < best.depth) best = { depth, axis, sign: dc >= 0 ? 1 : -1 };
+  }
+  return [best.axis[0] * best.depth * best.sign, best.axis[1] * best.depth * best.sign];
+}
+
+function pointSegmentDistance(p, a, b) {
+  const [cx, cz] = closestPointOnSegment(p[0], p[1], a, b);
+  return Math.hypot(p[0] - cx, p[1] - cz);
+}
+
+function polygonEdges(points) {
+  return points.map((p, i) => [p, points[(i + 1) % points.length]]);
+}
+
+// Shortest gap between two convex outlines (0 when they touch or overlap)
+function outlineGap(a, b) {
+  let gap = Infinity;
+  polygonEdges(b).forEach(([p, q]) => a.forEach((c) => (gap = Math.min(gap, pointSegmentDistance(c, p, q)))));
+  polygonEdges(a).forEach(([p, q]) => b.forEach((c) => (gap = Math.min(gap, pointSegmentDistance(c, p, q)))));
+  return gap;
+}
+
+// Room outline corners that poke into the footprint (concave rooms), as a push along the footprint's axes
+function outlineIntrusion(fp, outline) {
+  const [ax, az] = footprintAxes(fp);
+  let push = null;
+  outline.forEach(([px, pz]) => {
+    const dx = px - fp.x;
+    const dz = pz - fp.z;
+    const u = dx * ax[0] + dz * ax[1];
+    const v = dx * az[0] + dz * az[1];
+    const du = fp.hx - Math.abs(u);
+    const dv = fp.hz - Math.abs(v);
+    if (du <= PLACE_EPS || dv <= PLACE_EPS) return;
+    // Move so the corner ends up just outside the nearer side
+    const move = du < dv ? ax.map((k) => -k * du * Math.sign(u || 1)) : az.map((k) => -k * dv * Math.sign(v || 1));
+    if (!push || Math.hypot(...move) > Math.hypot(...push)) push = move;
+  });
+  return push;
+}
+
+function footprintFits(fp, outline, others) {
+  const corners = footprintCorners(fp, PLACE_EPS * 10);
+  if (outline.length >= 3 && !corners.every(([x, z]) => pointInPolygon(x, z, outline))) return false;
+  if (outline.length >= 3 && outlineIntrusion(fp, outline)) return false;
+  return !others.some((o) => footprintOverlap(fp, o));
+}
+
+/*
+ * snapFootprintToWalls - a back close to (and roughly facing away from) a wall turns to sit flush
+ * against it; sides close to a wall slide flush too, which tucks items into corners.
+ */
+function snapFootprintToWalls(fp, walls, distance) {
+  let p = { ...fp };
+  const along = (w, pt) => {
+    const d = [w.end[0] - w.start[0], w.end[1] - w.start[1]];
+    const t = ((pt[0] - w.start[0]) * d[0] + (pt[1] - w.start[1]) * d[1]) / (w.length * w.length || 1);
+    return t > -0.05 && t < 1.05;
+  };
+  const offset = (w, pt) => (pt[0] - w.start[0]) * w.normal[0] + (pt[1] - w.start[1]) * w.normal[1];
+
+  // Back against a wall
+  const [, fwd] = footprintAxes(p);
+  let back = null;
+  walls.forEach((w) => {
+    if (fwd[0] * w.normal[0] + fwd[1] * w.normal[1] < Math.cos(Math.PI / 9)) return;
+    const mid = [p.x - fwd[0] * p.hz, p.z - fwd[1] * p.hz];
+    const d = offset(w, mid);
+    if (Math.abs(d) < distance && along(w, mid) && (!back || Math.abs(d) < Math.abs(back.d))) back = { w, d };
+  });
+  if (back) {
+    p.rotY = back.w.rotationY;
+    const [, f] = footprintAxes(p);
+    const d = offset(back.w, [p.x - f[0] * p.hz, p.z - f[1] * p.hz]);
+    p = { ...p, x: p.x - back.w.normal[0] * d, z: p.z - back.w.normal[1] * d };
+  }
+
+  // Sides against a wall (the corner)
+  const [right] = footprintAxes(p);
+  let side = null;
+  [1, -1].forEach((sign) => {
+    const n = [right[0] * sign, right[1] * sign];
+    const mid = [p.x + n[0] * p.hx, p.z + n[1] * p.hx];
+    walls.forEach((w) => {
+      if (n[0] * w.normal[0] + n[1] * w.normal[1] > -Math.cos(Math.PI / 36)) return;
+      const d = offset(w, mid);
+      if (Math.abs(d) < distance && along(w, mid) && (!side || Math.abs(d) < Math.abs(side.d))) side = { w, d };
+    });
+  });
+  if (side) p = { ...p, x: p.x - side.w.normal[0] * side.d, z: p.z - side.w.normal[1] * side.d };
+  return p;
+}
+
+/*
+ * placeFootprint - where a moved item may actually go: snapped to walls (when snapDistance > 0),
+ * pushed fully inside the room and off the other items. Returns null when it can't fit there.
+ */
+function placeFootprint(fp, { outline = [], walls = [], others = [], snapDistance = 0 }) {
+  let p = snapDistance > 0 ? snapFootprintToWalls(fp, walls, snapDistance) : { ...fp };
+  for (let pass = 0; pass < 8; pass++) {
+    let moved = false;
+    if (outline.length >= 3) {
+      footprintCorners(p).forEach(([cx, cz]) => {
+        if (pointInPolygon(cx, cz, outline)) return;
+        const [nx, nz] = clampPointToPolygon(cx, cz, outline);
+        p = { ...p, x: p.x + nx - cx, z: p.z + nz - cz };
+        moved = true;
+      });
+      const intrusion = outlineIntrusion(p, outline);
+      if (intrusion) {
+        p = { ...p, x: p.x + intrusion[0], z: p.z + intrusion[1] };
+        moved = true;
+      }
+    }
+    others.forEach((o) => {
+      const push = footprintOverlap(p, o);
+      if (!push) return;
+      p = { ...p, x: p.x + push[0], z: p.z + push[1] };
+      moved = true;
+    });
+    if (!moved) break;
+  }
+  return footprintFits(p, outline, others) ? p : null;
+}
+
+// Floor area a door leaf sweeps: a square the door's width deep, inside the room in front of it
+function doorSwingFootprint(wall, rect) {
+  const width = rect.x1 - rect.x0;
+  const along = (rect.x0 + rect.x1) / 2 - wall.length / 2;
+  const right = [wall.normal[1], -wall.normal[0]]; // wall-local +x in plan
+  return {
+    x: wall.mid[0] + right[0] * along + wall.normal[0] * (width / 2),
+    z: wall.mid[1] + right[1] * along + wall.normal[1] * (width / 2),
+    hx: width / 2,
+    hz: width / 2,
+    rotY: wall.rotationY,
+  };
+}
+
+/*
+ * clearanceIssues - overlapping items, walkways narrower than `clearance` (between items, and
+ * between an item and a wall) and items inside a door swing. Gaps are written in `units` (see formatLength).
+ * `items` entries: { id, label, fp }; `doors` entries: { id, label, fp }; walls carry a `label`.
+ */
+function clearanceIssues({ items, walls, doors, clearance, units = "metric" }) {
+  const issues = [];
+  const gapText = (gap) => formatLength(gap, units);
+  items.forEach((a, i) => {
+    const ca = footprintCorners(a.fp);
+    items.slice(i + 1).forEach((b) => {
+      if (footprintOverlap(a.fp, b.fp)) {
+        issues.push({ ids: [a.id, b.id], text: `${a.label} overlaps ${b.label}.` });
+        return;
+      }
+      const gap = outlineGap(ca, footprintCorners(b.fp));
+      if (gap > FLUSH_GAP_M && gap < clearance) {
+        issues.push({ ids: [a.id, b.id], text: `Only ${gapText(gap)} between ${a.label} and ${b.label}.` });
+      }
+    });
+    walls.forEach((w) => {
+      const gap = outlineGap(ca, [w.start, w.end]);
+      if (gap > FLUSH_GAP_M && gap < clearance) {
+        issues.push({ ids: [a.id], text: `Only ${gapText(gap)} between ${a.label} and the ${w.label.toLowerCase()}.` });
+      }
+    });
+    doors.forEach((d) => {
+      if (footprintOverlap(a.fp, d.fp)) issues.push({ ids: [a.id], doorId: d.id, text: `${a.label} is in the swing of ${d.label}.` });
+    });
+  });
+  return issues;
+}
+
+/* ---------- Helpers: measurements ---------- */
+const MEASURE_SNAP_M = 0.1; // clicks this close to a corner or edge land on it
+
+// "85 cm" / "2.35 m", or feet and inches to the nearest quarter inch
+function formatLength(m, system = "metric") {
+  if (system !== "imperial") return m < 1 ? `${Math.round(m * 100)} cm` : `${m.toFixed(2)} m`;
+  const quarters = Math.round((m / UNIT_TO_METERS.in) * 4);
+  const feet = Math.floor(quarters / 48);
+  const inches = Math.floor((quarters % 48) / 4);
+  const text = `${inches}${["", "¼", "½", "¾"][quarters % 4]}″`;
+  return feet ? `${feet}′ ${text}` : text;
+}
+
+// Moves a clicked point [x, y, z] onto the nearest corner, or failing that the nearest edge, in plan
+function snapMeasurePoint([x, y, z], { corners = [], edges = [] }, distance = MEASURE_SNAP_M) {
+  let best = null;
+  corners.forEach((c) => {
+    const d = Math.hypot(c[0] - x, c[1] - z);
+    if (d <= distance && (!best || d < best.d)) best = { d, p: c };
+  });
+  if (!best) {
+    edges.forEach(([a, b]) => {
+      const c = closestPointOnSegment(x, z, a, b);
+      const d = Math.hypot(c[0] - x, c[1] - z);
+      if (d <= distance && (!best || d < best.d)) best = { d, p: c };
+    });
+  }
+  return best ? [best.p[0], y, best.p[1]] : [x, y, z];
+}
+
+/*
+ * wallClearanceLines - for each wall a footprint faces, the perpendicular from the footprint's
+ * nearest point to the wall: { wallIndex, from, to, gap }. Skips walls the line would not reach
+ * square-on, or that another wall hides (concave rooms).
+ */
+function wallClearanceLines(fp, walls) {
+  const corners = footprintCorners(fp);
+  const lines = [];
+  walls.forEach((w, i) => {
+    if (!w.length) return;
+    const offset = ([px, pz]) => (px - w.start[0]) * w.normal[0] + (pz - w.start[1]) * w.normal[1];
+    if (offset([fp.x, fp.z]) <= 0) return;
+    const gaps = corners.map(offset);
+    const gap = Math.max(0, Math.min(...gaps));
+    // Middle of the nearest corner(s), so a side parallel to the wall measures from its centre
+    const near = corners.filter((_, k) => gaps[k] - gap < 1e-3);
+    const from = [near.reduce((t, c) => t + c[0], 0) / near.length, near.reduce((t, c) => t + c[1], 0) / near.length];
+    const to = [from[0] - w.normal[0] * gap, from[1] - w.normal[1] * gap];
+    const along = ((to[0] - w.start[0]) * (w.end[0] - w.start[0]) + (to[1] - w.start[1]) * (w.end[1] - w.start[1])) / w.length;
+    if (along < 0 || along > w.length) return;
+    if (walls.some((o, j) => j !== i && segmentsCross([from, to], [o.start, o.end]))) return;
+    lines.push({ wallIndex: i, from, to, gap });
+  });
+  return lines;
+}
+
+/* ---------- Helpers: camera views ---------- */
+const EYE_HEIGHT_M = 1.6;
+const WALK_RADIUS_M = 0.25; // how close the walkthrough camera gets to a wall
+const WALK_SPEED_M = 1.4;   // per second
+
+const CAMERA_VIEWS = {
+  overview: "Overview",
+  entrance: "Entrance",
+  corner: "Corner",
+  plan: "Plan",
+  walk: "Walk",
+};
+
+/*
+ * cameraPresets - { entrance, corner } as { position, target } scene points for a room.
+ * The entrance view stands just inside the first door (or the middle of the longest wall) at eye
+ * height; the corner view looks down from the room corner farthest from it.
+ */
+function cameraPresets({ outline, walls, openings = [], wallHeight }) {
+  if (outline.length < 3 || !walls.length) return {};
+  const centre = outline.reduce((c, [x, z]) => [c[0] + x / outline.length, c[1] + z / outline.length], [0, 0]);
+
+  const door = openings.find((o) => o.type === "door" && walls[o.wallIndex]);
+  const wall = door ? walls[door.wallIndex] : walls.reduce((a, b) => (b.length > a.length ? b : a));
+  const along = door ? (door.rect.x0 + door.rect.x1) / 2 - wall.length / 2 : 0;
+  const inset = Math.min(0.4, wall.length / 2);
+  const stand = [
+    wall.mid[0] + wall.normal[1] * along + wall.normal[0] * inset,
+    wall.mid[1] - wall.normal[0] * along + wall.normal[1] * inset,
+  ];
+
+  let corner = null;
+  outline.forEach(([x, z]) => {
+    const d = Math.hypot(centre[0] - x, centre[1] - z) || 1;
+    const p = [x + ((centre[0] - x) / d) * 0.4, z + ((centre[1] - z) / d) * 0.4];
+    const far = Math.hypot(p[0] - stand[0], p[1] - stand[1]);
+    if (pointInPolygon(p[0], p[1], outline) && (!corner || far > corner.far)) corner = { p, far };
+  });
+
+  return {
+    entrance: { position: [stand[0], Math.min(EYE_HEIGHT_M, wallHeight), stand[1]], target: [centre[0], 1, centre[1]] },
+    corner: corner && {
+      position: [corner.p[0], Math.max(EYE_HEIGHT_M, wallHeight - 0.2), corner.p[1]],
+      target: [centre[0], 0.4, centre[1]],
+    },
+  };
+}
+
+// One walkthrough step in plan: the whole move if it keeps clear of the walls, else slide along them
+function walkStep([x, z], [dx, dz], outline, walls, radius = WALK_RADIUS_M) {
+  const free = (px, pz) =>
+    pointInPolygon(px, pz, outline) && walls.every((w) => pointSegmentDistance([px, pz], w.start, w.end) >= radius);
+  if (free(x + dx, z + dz)) return [x + dx, z + dz];
+  if (free(x + dx, z)) return [x + dx, z];
+  if (free(x, z + dz)) return [x, z + dz];
+  return [x, z];
+}
+
+/* ---------- Helpers: tile comparison ---------- */
+const COMPARE_LAYER = 1; // option i's floor is drawn on layer COMPARE_LAYER + i
+const MAX_COMPARE = 4;
+
+/*
+ * comparePanes - where each option is drawn, as fractions of the canvas from its top-left:
+ * { view, clip }. Side by side splits the canvas (a 2 × 2 grid for 3–4 options); the split slider
+ * draws the first two over the whole view and clips them either side of `split`.
+ */
+function comparePanes(count, mode, split = 0.5) {
+  if (mode === "split") {
+    const view = { x: 0, y: 0, w: 1, h: 1 };
+    return [
+      { view, clip: { x: 0, y: 0, w: split, h: 1 } },
+      { view, clip: { x: split, y: 0, w: 1 - split, h: 1 } },
+    ];
+  }
+  const grid = count > 2;
+  return Array.from({ length: count }, (_, i) => {
+    const view = grid ? { x: (i % 2) / 2, y: Math.floor(i / 2) / 2, w: 0.5, h: 0.5 } : { x: i / count, y: 0, w: 1 / count, h: 1 };
+    return { view, clip: view };
+  });
+}
+
+/* ---------- Helpers: placeholder furniture ---------- */
+// Typical sizes (m) of the stand-ins built from primitives when a model file is missing or broken
+const PLACEHOLDER_FURNITURE = {
+  bed:        { sizeX: 1.6,  sizeZ: 2.1,  height: 1.0 },
+  nightstand: { sizeX: 0.5,  sizeZ: 0.4,  height: 0.55 },
+  wardrobe:   { sizeX: 1.2,  sizeZ: 0.6,  height: 2.0 },
+  sofa:       { sizeX: 2.1,  sizeZ: 0.9,  height: 0.85 },
+  table:      { sizeX: 1.1,  sizeZ: 0.6,  height: 0.45 },
+  cabinet:    { sizeX: 0.6,  sizeZ: 0.6,  height: 0.9 },
+  fridge:     { sizeX: 0.7,  sizeZ: 0.7,  height: 1.8 },
+  toilet:     { sizeX: 0.38, sizeZ: 0.7,  height: 0.78 },
+  sink:       { sizeX: 0.6,  sizeZ: 0.45, height: 0.85 },
+  tub:        { sizeX: 1.7,  sizeZ: 0.75, height: 0.58 },
+  plant:      { sizeX: 0.45, sizeZ: 0.45, height: 1.1 },
+  generic:    DEFAULT_MODEL_SIZE,
+};
+
+/* ---------- Helpers: procedural tile textures ---------- */
+// Seamless tile faces generated at runtime: a fallback for products without a photo and the
+// source of custom colourways. A spec is { type, colors: [base, accent, accent2], seed }.
+const PROCEDURAL_TYPES = {
+  solid:    { label: "Solid",          colors: ["#e9e6e1", "#d9d5cf", "#ffffff"] },
+  terrazzo: { label: "Terrazzo",       colors: ["#ece8e1", "#8a8f96", "#c9826b"] },
+  marble:   { label: "Marble veining", colors: ["#f1efec", "#8d8a86", "#c8c3bd"] },
+  wood:     { label: "Wood grain",     colors: ["#c69c6d", "#8a5a34", "#a97a4f"] },
+  stone:    { label: "Stone",          colors: ["#8f8f8c", "#5f605e", "#b4b3ae"] },
+};
+
+// Small seeded PRNG so a spec always renders the same face
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Value noise on a lattice that wraps every periodX × periodY cells, sampled at u, v in [0, 1)
+function periodicNoise(rand, periodX, periodY) {
+  const lattice = Array.from({ length: periodX * periodY }, rand);
+  const at = (i, j) => lattice[((j % periodY) + periodY) % periodY * periodX + (((i % periodX) + periodX) % periodX)];
+  const smooth = (t) => t * t * (3 - 2 * t);
+  return (u, v) => {
+    const x = u * periodX;
+    const y = v * periodY;
+    const i = Math.floor(x);
+    const j = Math.floor(y);
+    const fx = smooth(x - i);
+    const fy = smooth(y - j);
+    const a = at(i, j) + (at(i + 1, j) - at(i, j)) * fx;
+    const b = at(i, j + 1) + (at(i + 1, j + 1) - at(i, j + 1)) * fx;
+    return a + (b - a) * fy;
+  };
+}
+
+// Fractal sum of periodic octaves (every octave wraps at 1, so the sum does too).
+// `stretch` > 1 makes the noise finer across u than along v.
+function periodicFbm(rand, basePeriod, octaves = 4, stretch = 1) {
+  const layers = Array.from({ length: octaves }, (_, o) =>
+    periodicNoise(rand, Math.max(1, Math.round(basePeriod * stretch)) * 2 ** o, basePeriod * 2 ** o)
+  );
+  return (u, v) => {
+    let sum = 0;
+    let amp = 0.5;
+    let norm = 0;
+    layers.forEach((n) => {
+      sum += n(u, v) * amp;
+      norm += amp;
+      amp *= 0.5;
+    });
+    return sum / norm;
+  };
+}
+
+const hexToRgb = (hex) => {
+  const c = new THREE.Color(hex);
+  return [c.r * 255, c.g * 255, c.b * 255];
+};
+const mixRgb = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+
+/* drawProceduralTile - renders a spec into a new size × size canvas */
+function drawProceduralTile(spec, size = 512) {
+  const type = PROCEDURAL_TYPES[spec.type] ? spec.type : "solid";
+  const [base, accent, accent2] = (spec.colors || PROCEDURAL_TYPES[type].colors).map(hexToRgb);
+  const rand = mulberry32(Number(spec.seed) || 1);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(size, size);
+
+  const cloud = periodicFbm(rand, 4, 5);
+  const detail = periodicFbm(rand, 32, 3);
+  const grain = periodicFbm(rand, 2, 4, 24); // fibres run along v
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const u = x / size;
+      const v = y / size;
+      let rgb;
+      if (type === "marble") {
+        // Veins: integer frequency keeps sin() periodic across the tile edge
+        const turb = cloud(u, v);
+        const vein = Math.pow(1 - Math.abs(Math.sin(Math.PI * (2 * u + v + 3 * turb))), 12);
+        const fine = Math.pow(1 - Math.abs(Math.sin(Math.PI * (3 * v - u + 5 * detail(u, v)))), 30);
+        rgb = mixRgb(mixRgb(base, accent2, turb * 0.35), accent, Math.min(1, vein + fine * 0.5));
+      } else if (type === "wood") {
+        const rings = 0.5 + 0.5 * Math.sin(2 * Math.PI * (6 * u + 2.5 * cloud(u, v)));
+        rgb = mixRgb(mixRgb(base, accent2, grain(u, v)), accent, Math.pow(rings, 3) * 0.8);
+      } else if (type === "stone") {
+        const n = cloud(u, v);
+        rgb = mixRgb(mixRgb(base, accent, n), accent2, Math.max(0, detail(u, v) - 0.55) * 2);
+      } else if (type === "terrazzo") {
+        rgb = mixRgb(base, accent2, (cloud(u, v) - 0.5) * 0.15);
+      } else {
+        rgb = mixRgb(base, accent, (detail(u, v) - 0.5) * 0.12);
+      }
+      const i = (y * size + x) * 4;
+      img.data[i] = rgb[0];
+      img.data[i + 1] = rgb[1];
+      img.data[i + 2] = rgb[2];
+      img.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+
+  if (type === "terrazzo") {
+    // Chips, drawn again one tile over wherever they cross an edge so the face stays seamless
+    const chipColors = [accent, accent2, mixRgb(accent, base, 0.5)];
+    const count = Math.round(size * 0.45);
+    for (let k = 0; k < count; k++) {
+      const cx = rand() * size;
+      const cy = rand() * size;
+      const r = size * (0.006 + rand() * rand() * 0.03);
+      const sides = 4 + Math.floor(rand() * 4);
+      const rot = rand() * Math.PI;
+      const c = chipColors[Math.floor(rand() * chipColors.length)];
+      ctx.fillStyle = `rgb(${c.map(Math.round).join(",")})`;
+      [-size, 0, size].forEach((ox) =>
+        [-size, 0, size].forEach((oy) => {
+          if (cx + ox + r < 0 || cx + ox - r > size || cy + oy + r < 0 || cy + oy - r > size) return;
+          ctx.beginPath();
+          for (let s = 0; s < sides; s++) {
+            const a = rot + (s / sides) * Math.PI * 2;
+            const rr = r * (0.7 + 0.3 * Math.sin(a * 3 + k));
+            ctx.lineTo(cx + ox + Math.cos(a) * rr, cy + oy + Math.sin(a) * rr);
+          }
+          ctx.closePath();
+          ctx.fill();
+        })
+      );
+    }
+  }
+  return canvas;
+}
+
+// Data URL for a spec, so generated faces load through the same texture path as photos
+const proceduralUrlCache = new Map();
+function proceduralTextureUrl(spec, size = 512) {
+  const key = JSON.stringify([spec.type, spec.colors, spec.seed, size]);
+  if (!proceduralUrlCache.has(key)) {
+    // Keep the cache small: every colour picker step in the designer preview is a new entry
+    if (proceduralUrlCache.size > 24) proceduralUrlCache.delete(proceduralUrlCache.keys().next().value);
+    proceduralUrlCache.set(key, drawProceduralTile(spec, size).toDataURL("image/jpeg", 0.9));
+  }
+  return proceduralUrlCache.get(key);
+}
+
+// Probe for whether a photo URL loads: { status: "pending" | "ok" | "missing", promise }
+const photoProbeCache = new Map();
+function probePhoto(url) {
+  let entry = photoProbeCache.get(url);
+  if (!entry) {
+    entry = { status: "pending" };
+    entry.promise = new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        entry.status = "ok";
+        resolve();
+      };
+      img.onerror = () => {
+        entry.status = "missing";
+        resolve();
+      };
+      img.src = url;
+    });
+    photoProbeCache.set(url, entry);
+  }
+  return entry;
+}
+
+// Suspends until we know whether a photo URL loads (404s fall back to the procedural face)
+function photoAvailable(url) {
+  if (url.startsWith("data:")) return true;
+  const entry = probePhoto(url);
+  if (entry.status === "pending") throw entry.promise;
+  return entry.status === "ok";
+}
+
+// Colour map URL for a product's maps: the photo, or the procedural face (or a plain one) when it is
+// missing. Suspends like photoAvailable; outside render, await probePhoto(maps.color).promise first.
+const DEFAULT_PROCEDURAL = { type: "solid", colors: PROCEDURAL_TYPES.solid.colors, seed: 1 };
+function colorMapUrl(maps) {
+  return maps?.color && photoAvailable(maps.color) ? maps.color : proceduralTextureUrl(maps?.procedural || DEFAULT_PROCEDURAL);
+}
+
+/* ---------- Tile product catalog ---------- */
+// Nominal sizes and thickness in mm, prices per m² in store dollars. `surfaces` limits which
+// selector (floor / wall) offers the product. `maps` is the material set used in the showroom:
+// { color, normal?, roughness?, ao?, displacement? } URLs plus a `procedural` spec used when the
+// photo is missing (or instead of one, for colourways); `finish` picks the surface response.
+function catalogItem(item) {
+  const areaM2 = (item.lengthMm / 1000) * (item.widthMm / 1000);
+  return {
+    ...item,
+    nominalSize: `${item.lengthMm} × ${item.widthMm} mm`,
+    pricePerTile: item.pricePerTile ?? roundTo(item.pricePerM2 * areaM2, 2),
+    m2PerBox: item.m2PerBox ?? roundTo(item.piecesPerBox * areaM2, 3),
+  };
+}
+
+const TILE_CATALOG = [
+  catalogItem({
+    sku: "TRU-MAR-6060-PL",
+    name: "Carrara Bianco",
+    collection: "Marble",
+    lengthMm: 600,
+    widthMm: 600,
+    thicknessMm: 10,
+    finish: "Polished",
+    pricePerM2: 8000,
+    piecesPerBox: 4,
+    surfaces: ["floor", "wall"],
+    maps: {
+      color: "/textures/marble.jpg",
+      procedural: { type: "marble", colors: ["#f1efec", "#8d8a86", "#c8c3bd"], seed: 11 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-MAR-3060-HN",
+    name: "Carrara Bianco Honed",
+    collection: "Marble",
+    lengthMm: 600,
+    widthMm: 300,
+    thicknessMm: 10,
+    finish: "Honed",
+    pricePerM2: 7200,
+    piecesPerBox: 8,
+    surfaces: ["floor", "wall"],
+    maps: {
+      color: "/textures/marble.jpg",
+      procedural: { type: "marble", colors: ["#f1efec", "#8d8a86", "#c8c3bd"], seed: 11 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-GRA-6060-PL",
+    name: "Galaxy Black",
+    collection: "Granite",
+    lengthMm: 600,
+    widthMm: 600,
+    thicknessMm: 12,
+    finish: "Polished",
+    pricePerM2: 9500,
+    piecesPerBox: 4,
+    surfaces: ["floor", "wall"],
+    maps: {
+      color: "/textures/granite.jpg",
+      procedural: { type: "stone", colors: ["#26272a", "#111214", "#c9c6bf"], seed: 23 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-GRA-6060-FL",
+    name: "Galaxy Black Flamed",
+    collection: "Granite",
+    lengthMm: 600,
+    widthMm: 600,
+    thicknessMm: 15,
+    finish: "Flamed",
+    pricePerM2: 9900,
+    piecesPerBox: 3,
+    surfaces: ["floor"],
+    maps: {
+      color: "/textures/granite.jpg",
+      procedural: { type: "stone", colors: ["#26272a", "#111214", "#c9c6bf"], seed: 23 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-POR-6060-MT",
+    name: "Urban Grey",
+    collection: "Porcelain",
+    lengthMm: 600,
+    widthMm: 600,
+    thicknessMm: 9,
+    finish: "Matte",
+    pricePerM2: 4200,
+    piecesPerBox: 4,
+    surfaces: ["floor", "wall"],
+    maps: {
+      color: "/textures/porcelain.jpg",
+      procedural: { type: "stone", colors: ["#9a9a97", "#7c7d7b", "#b9b8b3"], seed: 37 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-POR-60120-MT",
+    name: "Urban Grey XL",
+    collection: "Porcelain",
+    lengthMm: 1200,
+    widthMm: 600,
+    thicknessMm: 10,
+    finish: "Matte",
+    pricePerM2: 5100,
+    piecesPerBox: 2,
+    surfaces: ["floor"],
+    maps: {
+      color: "/textures/porcelain.jpg",
+      procedural: { type: "stone", colors: ["#9a9a97", "#7c7d7b", "#b9b8b3"], seed: 37 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-CER-3030-GL",
+    name: "Coastal White",
+    collection: "Ceramic",
+    lengthMm: 300,
+    widthMm: 300,
+    thicknessMm: 8,
+    finish: "Gloss",
+    pricePerM2: 2600,
+    piecesPerBox: 11,
+    surfaces: ["floor", "wall"],
+    maps: {
+      color: "/textures/ceramic.jpg",
+      procedural: { type: "solid", colors: ["#f4f3ef", "#e3e1dc", "#ffffff"], seed: 41 },
+    },
+  }),
+  catalogItem({
+    sku: "TRU-CER-2060-GL",
+    name: "Coastal White Metro",
+    collection: "Ceramic",
+    lengthMm: 600,
+    widthMm: 200,
+    thicknessMm: 8,
+    finish: "Gloss",
+    pricePerM2: 2900,
+    piecesPerBox: 12,
+    surfaces: ["wall"],
+    maps: {
+      color: "/textures/ceramic.jpg",
+      procedural: { type: "solid", colors: ["#f4f3ef", "#e3e1dc", "#ffffff"], seed: 41 },
+    },
+  }),
+];
+
+// Unknown SKUs (e.g. from older saved state) fall back to the first product.
+// `catalog` is TILE_CATALOG plus any custom colourways.
+function catalogProduct(sku, catalog = TILE_CATALOG) {
+  return catalog.find((p) => p.sku === sku) || catalog[0];
+}
+
+function catalogProductsFor(surface, catalog = TILE_CATALOG) {
+  return catalog.filter((p) => p.surfaces.includes(surface));
+}
+
+// A colourway keeps the base product's size, box and price but shows a procedural face.
+// Saved as { baseSku, index, name, procedural } so catalog price changes carry over.
+function colourwayProduct({ baseSku, index, name, procedural }) {
+  const base = catalogProduct(baseSku);
+  return {
+    ...base,
+    sku: `${base.sku}-CW${index}`,
+    name: name || `${base.name} ${PROCEDURAL_TYPES[procedural.type].label} ${index}`,
+    collection: "Custom colourways",
+    baseSku: base.sku,
+    maps: { procedural },
+  };
+}
+
+// Calculator inputs for a product (meters, so the unit selectors keep working for manual sizes)
+function productFormValues(product) {
+  return {
+    length: String(product.lengthMm / 1000),
+    width: String(product.widthMm / 1000),
+    unit: "m",
+    price: String(product.pricePerTile),
+  };
+}
+
+// Box rules only hold for the catalog size; a hand-entered size is quoted as loose pieces
+function productMatchesSize(product, lengthM, widthM) {
+  return Math.round(lengthM * 1000) === product.lengthMm && Math.round(widthM * 1000) === product.widthMm;
+}
+
+// Round a tile count up to whole cartons
+function boxQuantity(tilesNeeded, piecesPerBox, tileAreaM2) {
+  const perBox = Math.max(1, Math.round(piecesPerBox) || 1);
+  const boxes = Math.ceil(tilesNeeded / perBox);
+  const pieces = boxes * perBox;
+  return {
+    boxes,
+    piecesPerBox: perBox,
+    pieces,
+    m2Covered: pieces * tileAreaM2,
+    leftoverPieces: pieces - tilesNeeded,
+  };
+}
+
+// Snapshot stored on an order line, so later catalog edits never rewrite old quotes
+function productSnapshot(product) {
+  const { sku, name, collection, nominalSize, lengthMm, widthMm, thicknessMm, finish, pricePerTile, pricePerM2, piecesPerBox, m2PerBox } = product;
+  return { sku, name, collection, nominalSize, lengthMm, widthMm, thicknessMm, finish, pricePerTile, pricePerM2, piecesPerBox, m2PerBox };
+}
+
+/* ---------- Helpers: customer tile photos ---------- */
+const CUSTOMER_PHOTO_MAX_PX = 768; // long side of the stored face; keeps localStorage use small
+
+/*
+ * makeSeamless - cross-fades a tile face with a copy of itself shifted by half a tile, so opposite
+ * edges match. The centre keeps the original; the borders come from the shifted copy.
+ */
+function makeSeamless(canvas, border = 0.25) {
+  const w = canvas.width;
+  const h = canvas.height;
+  const ctx = canvas.getContext("2d");
+  const src = ctx.getImageData(0, 0, w, h).data;
+  const out = ctx.createImageData(w, h);
+  const smooth = (t) => t * t * (3 - 2 * t);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const edge = Math.min(x / w, 1 - x / w, y / h, 1 - y / h); // 0 at the border, 0.5 at the centre
+      const t = smooth(Math.min(1, edge / border));
+      const i = (y * w + x) * 4;
+      const j = (((y + (h >> 1)) % h) * w + ((x + (w >> 1)) % w)) * 4;
+      for (let c = 0; c < 3; c++) out.data[i + c] = src[i + c] * t + src[j + c] * (1 - t);
+      out.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  return canvas;
+}
+
+/* ---------- Helpers: sundries (grout, spacers, sealer, trim) ---------- */
+// Pack sizes, coverage and prices (store dollars). Thinset stays in handleCalculate.
+const SUNDRIES = {
+  grout:   { label: "Grout",        pack: "5 kg bag",      packKg: 5,      price: 950 },
+  spacers: { label: "Tile spacers", pack: "bag of 250",    perPack: 250,   price: 350 },
+  sealer:  { label: "Sealer",       pack: "1 L bottle",    m2PerLitre: 10, price: 2800 },
+  trim:    { label: "Edge trim",    pack: "2.5 m length",  lengthM: 2.5,   price: 1200 },
+};
+const GROUT_DENSITY_KG_DM3 = 1.6; // cement grout, cured
+const SPACERS_PER_TILE = 1.1;     // one cross per tile, plus edges
+const NATURAL_STONE_COLLECTIONS = ["Marble", "Granite"];
+
+// Grout kg per m²: joint volume per m² of tiling × density (all dimensions in mm)
+function groutKgPerM2(lengthMm, widthMm, thicknessMm, jointMm) {
+  if (!lengthMm || !widthMm) return 0;
+  return ((lengthMm + widthMm) / (lengthMm * widthMm)) * thicknessMm * jointMm * GROUT_DENSITY_KG_DM3;
+}
+
+/*
+ * estimateSundries - grout, spacers, sealer and trim for the tiled surfaces.
+ * `surfaces` entries: { label, areaM2, tiles, lengthMm, widthMm, thicknessMm, naturalStone }.
+ * Returns { items: [{ key, label, quantity, pack, detail, amount, unit, perPack, unitPrice, cost }], total };
+ * `amount` is the unrounded need in `unit`s, so several estimates can be merged before rounding to packs.
+ */
+function estimateSundries({ surfaces, jointMm, trimM, include }) {
+  const items = [];
+  const add = (key, amount, unit, perPack, detail) => {
+    const quantity = Math.ceil(amount / perPack);
+    if (!include[key] || quantity <= 0) return;
+    const s = SUNDRIES[key];
+    items.push({ key, label: s.label, quantity, pack: s.pack, detail, amount, unit, perPack, unitPrice: s.price, cost: quantity * s.price });
+  };
+
+  const groutKg = surfaces.reduce(
+    (sum, f) => sum + f.areaM2 * groutKgPerM2(f.lengthMm, f.widthMm, f.thicknessMm, jointMm),
+    0
+  );
+  add("grout", groutKg, "kg", SUNDRIES.grout.packKg, `${groutKg.toFixed(1)} kg at ${jointMm} mm joints`);
+
+  const spacers = Math.ceil(surfaces.reduce((sum, f) => sum + f.tiles, 0) * SPACERS_PER_TILE);
+  add("spacers", spacers, "spacers", SUNDRIES.spacers.perPack, `${spacers} spacers`);
+
+  // Natural stone is sealed over its whole face (2 coats); other tiles only along the joints
+  const sealM2 = surfaces.reduce((sum, f) => sum + f.areaM2 * (f.naturalStone ? 2 : 0.25), 0);
+  const litres = sealM2 / SUNDRIES.sealer.m2PerLitre;
+  add("sealer", litres, "L", 1, `${litres.toFixed(1)} L for ${sealM2.toFixed(1)} m² of coats`);
+
+  add("trim", trimM, "m", SUNDRIES.trim.lengthM, `${trimM.toFixed(2)} m of exposed edges`);
+
+  return { items, total: items.reduce((sum, i) => sum + i.cost, 0) };
+}
+
+// Several sundry estimates as one, rounded to packs only after adding up what each needs
+function mergeSundries(estimates) {
+  const byKey = {};
+  estimates.forEach((e) =>
+    (e?.items || []).forEach((i) => {
+      const m = byKey[i.key] || (byKey[i.key] = { ...i, amount: 0 });
+      m.amount += i.amount ?? i.quantity * (i.perPack || 1);
+    })
+  );
+  const items = Object.values(byKey).map((i) => {
+    const quantity = Math.ceil(i.amount / i.perPack - 1e-9);
+    return { ...i, quantity, detail: `${roundTo(i.amount, 1)} ${i.unit} in total`, cost: quantity * i.unitPrice };
+  });
+  return { items, total: items.reduce((sum, i) => sum + i.cost, 0) };
+}
+
+/* ---------- Helpers: wall openings (doors, windows, niches) ---------- */
+// Sizes in meters; offset is measured from the wall's left corner as seen from inside the room
+const OPENING_DEFAULTS = {
+  door:   { label: "Door",   width: 0.9, height: 2.1, sill: 0 },
+  window: { label: "Window", width: 1.2, height: 1.2, sill: 0.9 },
+  niche:  { label: "Niche",  width: 0.3, height: 0.6, sill: 1.2, depth: 0.1 },
+};
+
+// Opening rectangle in wall coordinates (x from the left corner, y from the floor), kept on the wall
+function openingRect(opening, wallLength, wallHeight) {
+  const width = Math.max(0, Math.min(Number(opening.width) || 0, wallLength));
+  const height = Math.max(0, Math.min(Number(opening.height) || 0, wallHeight));
+  const x0 = Math.min(Math.max(0, Number(opening.offset) || 0), wallLength - width);
+  const y0 = opening.type === "door" ? 0 : Math.min(Math.max(0, Number(opening.sill) || 0), wallHeight - height);
+  return { x0, x1: x0 + width, y0, y1: y0 + height };
+}
+
+// Parts of [from, to] not covered by any of the cut intervals
+function subtractIntervals([from, to], cuts) {
+  let parts = [[from, to]];
+  cuts.forEach(([c0, c1]) => {
+    parts = parts.flatMap(([a, b]) => {
+      if (c1 <= a || c0 >= b) return [[a, b]];
+      const out = [];
+      if (c0 > a) out.push([a, c0]);
+      if (c1 < b) out.push([c1, b]);
+      return out;
+    });
+  });
+  return parts.filter(([a, b]) => b - a > 1e-6);
+}
+
+// Wall panel (centered, facing +z) with rectangular holes, built from strips so openings may touch the edges
+function buildWallGeometry(width, height, holes = []) {
+  const hw = width / 2;
+  const hh = height / 2;
+  const cuts = holes
+    .map((h) => ({ x0: Math.max(-hw, h.x0), x1: Math.min(hw, h.x1), y0: Math.max(-hh, h.y0), y1: Math.min(hh, h.y1) }))
+    .filter((h) => h.x1 > h.x0 && h.y1 > h.y0);
+  if (!cuts.length) return new THREE.PlaneGeometry(width, height);
+
+  const xs = Array.from(new Set([-hw, hw, ...cuts.flatMap((c) => [c.x0, c.x1])])).sort((a, b) => a - b);
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  const addQuad = (xa, xb, ya, yb) => {
+    const base = positions.length / 3;
+    [[xa, ya], [xb, ya], [xb, yb], [xa, yb]].forEach(([x, y]) => {
+      positions.push(x, y, 0);
+      uvs.push((x + hw) / width, (y + hh) / height);
+    });
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  };
+
+  for (let i = 0; i + 1 < xs.length; i++) {
+    const [xa, xb] = [xs[i], xs[i + 1]];
+    if (xb - xa < 1e-6) continue;
+    const mid = (xa + xb) / 2;
+    const active = cuts.filter((c) => c.x0 < mid && c.x1 > mid).map((c) => [c.y0, c.y1]);
+    subtractIntervals([-hh, hh], active).forEach(([ya, yb]) => addQuad(xa, xb, ya, yb));
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geo.setIndex(indices);
+  geo.computeVertexNormals();
+  return geo;
+}
+
+// Openings on one wall panel, in the panel's centered local coordinates
+function panelHoles(rects, wallLength, panelBottom, panelHeight) {
+  const midY = panelBottom + panelHeight / 2;
+  return rects.map((r) => ({
+    x0: r.x0 - wallLength / 2,
+    x1: r.x1 - wallLength / 2,
+    y0: r.y0 - midY,
+    y1: r.y1 - midY,
+  }));
+}
+
+function wallLabel(index, isRectangle) {
+  return isRectangle ? RECT_WALL_LABELS[index] || `Wall ${index + 1}` : `Wall ${index + 1}`;
+}
+
+/* ---------- Helpers: decorative wall strips ---------- */
+// Listello, border rows and chair rails run round the room at a set height (bottom edge, meters).
+// Sizes in mm; priced per piece of `pieceMm`.
+const STRIP_TYPES = {
+  listello:  { label: "Listello",   heightMm: 50,  depthMm: 10, pieceMm: 300,  price: 650,  color: "#b08d57", metalness: 0.35 },
+  border:    { label: "Border row", heightMm: 100, depthMm: 6,  pieceMm: 300,  price: 900,  color: "#4a5a6a", metalness: 0.05 },
+  chairRail: { label: "Chair rail", heightMm: 60,  depthMm: 25, pieceMm: 2400, price: 2200, color: "#f2efe9", metalness: 0 },
+};
+const STRIP_WASTE = 0.05;
+
+// Runs of a strip along one wall (x from the left corner), broken where an opening crosses it
+function stripRuns(wallLength, rects, y0, y1) {
+  const cuts = rects.filter((r) => r.y0 < y1 && r.y1 > y0).map((r) => [r.x0, r.x1]);
+  return subtractIntervals([0, wallLength], cuts);
+}
+
+/* ---------- Helpers: multi-room projects ---------- */
+// What a new room starts without (it keeps the current tile choices and settings)
+const NEW_ROOM_RESET = {
+  roomLength: "",
+  roomWidth: "",
+  roomShape: "rectangle",
+  wallHeightInput: "",
+  wallMaterials: {},
+  featureWall: null,
+  wallStrips: [],
+  openings: [],
+  layoutDoorId: "",
+  objects: [],
+  result: null,
+};
+
+/*
+ * consolidateProject - one quote across the calculated rooms of a project.
+ * `rooms` entries: { name, result } where result is a room's calculator result (or null).
+ * Tiles are summed per product and quoted price before rounding to whole boxes, so rooms that
+ * share a tile share its boxes; thinset, strips and sundries are re-rounded the same way.
+ * Delivery is left to the caller — a project is delivered once.
+ */
+function consolidateProject(rooms) {
+  const calculated = rooms.filter((r) => r.result);
+
+  const tiles = [];
+  const addTiles = (room, surface, product, unitPrice, piecesPerBox, tileAreaM2, tilesNeeded, roomBoxes) => {
+    const key = `${product.sku}|${unitPrice}|${piecesPerBox}`;
+    let line = tiles.find((l) => l.key === key);
+    if (!line) {
+      line = { key, product, unitPrice, piecesPerBox, tileAreaM2, surfaces: [], rooms: [], tilesNeeded: 0, roomBoxes: 0, roomCost: 0 };
+      tiles.push(line);
+    }
+    if (!line.rooms.includes(room)) line.rooms.push(room);
+    if (!line.surfaces.includes(surface)) line.surfaces.push(surface);
+    line.tilesNeeded += tilesNeeded;
+    line.roomBoxes += roomBoxes.boxes;
+    line.roomCost += roomBoxes.pieces * unitPrice;
+  };
+  calculated.forEach(({ name, result: r }) => {
+    const tileMm = r.cutPlan?.tileMm;
+    addTiles(name, "floor", r.product, r.tilePrice, r.boxes.piecesPerBox, tileMm ? (tileMm.width * tileMm.length) / 1e6 : 0, r.tilesNeeded, r.boxes);
+    r.wall?.lines.forEach((l) =>
+      addTiles(name, "wall", l.product, l.tilePrice, l.piecesPerBox, l.lengthM * l.widthM, l.tilesNeeded, l.boxes)
+    );
+  });
+  tiles.forEach((l) => {
+    l.boxes = boxQuantity(l.tilesNeeded, l.piecesPerBox, l.tileAreaM2);
+    l.totalCost = l.boxes.pieces * l.unitPrice;
+  });
+
+  // Floor thinset and wall adhesive are the same bag
+  const areaSqFt = calculated.reduce((sum, { result: r }) => sum + (r.tiledAreaSqFt ?? r.roomAreaSqFt) + (r.wall?.areaSqFt || 0), 0);
+  const coverage = calculated[0]?.result.thinsetBagCoverageSqFt || 50;
+  const bagPrice = calculated[0]?.result.thinsetBagPrice || 1500;
+  const bags = Math.ceil(areaSqFt / coverage - 1e-9);
+  const thinset = {
+    areaSqFt,
+    bags,
+    bagPrice,
+    cost: bags * bagPrice,
+    roomBags: calculated.reduce((sum, { result: r }) => sum + r.thinsetBags + (r.wall?.adhesiveBags || 0), 0),
+  };
+
+  const strips = [];
+  calculated.forEach(({ result: r }) =>
+    (r.strips || []).forEach((st) => {
+      const key = `${st.type}|${st.pieceMm}|${st.price}|${st.color}`;
+      const line = strips.find((l) => l.key === key);
+      if (line) line.linearM += st.linearM;
+      else strips.push({ ...st, key, linearM: st.linearM });
+    })
+  );
+  strips.forEach((st) => {
+    st.pieces = Math.ceil((st.linearM * (1 + STRIP_WASTE)) / (st.pieceMm / 1000));
+    st.cost = st.pieces * st.price;
+  });
+  const stripsCost = strips.reduce((sum, st) => sum + st.cost, 0);
+
+  const sundries = mergeSundries(calculated.map((r) => r.result.sundries));
+
+  const tilesCost = tiles.reduce((sum, l) => sum + l.totalCost, 0);
+  const materialsTotal = tilesCost + thinset.cost + stripsCost + sundries.total;
+  const roomSummaries = calculated.map(({ name, result: r }) => ({
+    name,
+    roomAreaM2: r.tiledAreaM2 ?? r.roomAreaM2,
+    wallAreaM2: r.wall?.areaM2 || 0,
+    materialsTotal: r.grandTotal - (r.delivery?.cost || 0),
+  }));
+  const roomsTotal = roomSummaries.reduce((sum, r) => sum + r.materialsTotal, 0);
+
+  return {
+    rooms: roomSummaries,
+    missing: rooms.filter((r) => !r.result).map((r) => r.name),
+    tiles,
+    tilesNeeded: tiles.reduce((sum, l) => sum + l.tilesNeeded, 0),
+    tilesCost,
+    thinset,
+    strips,
+    stripsCost,
+    sundries,
+    materialsTotal,
+    roomsTotal,
+    savings: Math.max(0, roomsTotal - materialsTotal),
+  };
+}
+
+/* ---------- Helpers: saved designs ---------- */
+// Bump when the saved design format changes, and teach migrateDesign to read the older one
+const DESIGN_VERSION = 1;
+
+/*
+ * migrateDesign - a saved design (from storage, a file or an order) in the current format.
+ * Designs are { schemaVersion, id, name, revision, createdAt, savedAt, parentId,
+ * project: { name, activeRoomId, rooms: [{ id, name, state }] }, showroom: { ... } }.
+ * Throws when the data isn't a design or comes from a newer format.
+ */
+function migrateDesign(design) {
+  if (!design || typeof design !== "object" || !Array.isArray(design.project?.rooms) || !design.project.rooms.length) {
+    throw new Error("This is not a showroom design.");
+  }
+  const version = Number(design.schemaVersion) || 0;
+  if (version > DESIGN_VERSION) {
+    throw new Error(`This design was saved by a newer version of the showroom (format ${version}).`);
+  }
+  return {
+    ...design,
+    schemaVersion: DESIGN_VERSION,
+    revision: design.revision || 1,
+    showroom: design.showroom || {},
+    project: {
+      ...design.project,
+      rooms: design.project.rooms.map((r, i) => ({ id: r.id || `room-${i + 1}`, name: r.name || `Room ${i + 1}`, state: r.state || {} })),
+    },
+  };
+}
+
+function newDesignId() {
+  return `DSN-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+}
+
+// Design as a downloadable .json file
+function downloadDesign(design) {
+  const blob = new Blob([JSON.stringify(design, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${(design.name || "design").replace(/[^\w-]+/g, "_")}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* ---------- Helpers: render export ---------- */
+const RENDER_SIZES = {
+  hd: { label: "Full HD (1920 × 1080)", width: 1920, height: 1080 },
+  qhd: { label: "QHD (2560 × 1440)", width: 2560, height: 1440 },
+  uhd: { label: "4K (3840 × 2160)", width: 3840, height: 2160 },
+};
+const SHEET_SIZE = { width: 2480, height: 3508 }; // A4 portrait at 300 dpi
+const BRAND = { name: "Tiles-Я-Us", tagline: "3D Showroom design summary", color: "#4c1d95", logo: "/icons/android-chrome-192x192.png" };
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not load ${src}`));
+    img.src = src;
+  });
+}
+
+function downloadDataUrl(url, filename) {
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename.replace(/[^\w.-]+/g, "_");
+  a.click();
+}
+
+/*
+ * drawSummarySheet - one A4 page: branded header, the render, then `sections` of
+ * { heading, rows: [[label, value, swatch?]] } in two columns and a footer line.
+ */
+function drawSummarySheet({ render, logo, title, sections = [], footer = "" }) {
+  const { width: W, height: H } = SHEET_SIZE;
+  const canvas = document.createElement("canvas");
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext("2d");
+  const margin = 100;
+  const font = (size, weight = "normal") => `${weight} ${size}px system-ui, -apple-system, "Segoe UI", sans-serif`;
+  const fitText = (text, maxWidth) => {
+    let t = String(text);
+    if (ctx.measureText(t).width <= maxWidth) return t;
+    while (t.length > 1 && ctx.measureText(`${t}…`).width > maxWidth) t = t.slice(0, -1);
+    return `${t}…`;
+  };
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, W, H);
+
+  // Header
+  ctx.fillStyle = BRAND.color;
+  ctx.fillRect(0, 0, W, 280);
+  if (logo) ctx.drawImage(logo, margin, 50, 180, 180);
+  ctx.fillStyle = "#ffffff";
+  ctx.font = font(96, "bold");
+  ctx.fillText(BRAND.name, margin + 220, 150);
+  ctx.font = font(46);
+  ctx.fillText(BRAND.tagline, margin + 220, 220);
+  ctx.textAlign = "right";
+  ctx.fillText(new Date().toLocaleDateString(), W - margin, 150);
+  ctx.textAlign = "left";
+
+  // Title and render
+  ctx.fillStyle = "#111827";
+  ctx.font = font(72, "bold");
+  ctx.fillText(fitText(title, W - margin * 2), margin, 420);
+  let y = 480;
+  if (render) {
+    const scale = Math.min((W - margin * 2) / render.width, 1500 / render.height);
+    const rw = render.width * scale;
+    const rh = render.height * scale;
+    ctx.drawImage(render, (W - rw) / 2, y, rw, rh);
+    ctx.strokeStyle = "#d1d5db";
+    ctx.lineWidth = 4;
+    ctx.strokeRect((W - rw) / 2, y, rw, rh);
+    y += rh + 110;
+  }
+
+  // Details, filled column by column
+  const colWidth = (W - margin * 3) / 2;
+  const columns = [
+    { x: margin, y },
+    { x: margin * 2 + colWidth, y },
+  ];
+  sections.forEach((section) => {
+    const col = columns[0].y <= columns[1].y ? columns[0] : columns[1];
+    ctx.fillStyle = BRAND.color;
+    ctx.font = font(50, "bold");
+    ctx.fillText(section.heading, col.x, col.y);
+    col.y += 30;
+    ctx.fillRect(col.x, col.y, colWidth, 4);
+    col.y += 70;
+    section.rows.forEach(([label, value, swatch]) => {
+      ctx.font = font(40);
+      ctx.fillStyle = "#6b7280";
+      ctx.fillText(fitText(label, colWidth * 0.42), col.x, col.y);
+      let vx = col.x + colWidth * 0.45;
+      if (swatch) {
+        ctx.fillStyle = swatch;
+        ctx.fillRect(vx, col.y - 34, 40, 40);
+        ctx.strokeStyle = "#9ca3af";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(vx, col.y - 34, 40, 40);
+        vx += 56;
+      }
+      ctx.fillStyle = "#111827";
+      ctx.font = font(40, "bold");
+      ctx.fillText(fitText(value, col.x + colWidth - vx), vx, col.y);
+      col.y += 62;
+    });
+    col.y += 60;
+  });
+
+  // Footer
+  ctx.fillStyle = "#6b7280";
+  ctx.font = font(34);
+  ctx.fillText(fitText(footer, W - margin * 2), margin, H - 80);
+  return canvas;
+}
+
+// Opens the sheet on its own page and brings up the print dialog (where "Save as PDF" lives)
+function printSheet(dataUrl, title) {
+  const win = window.open("", "_blank");
+  if (!win) {
+    alert("Allow pop-ups for this site to print or save the summary as a PDF.");
+    return;
+  }
+  win.document.write(
+    `<!doctype html><title>${title.replace(/</g, "&lt;")}</title>` +
+      `<style>@page{size:A4;margin:0}html,body{margin:0}img{width:100%;display:block}</style>` +
+      `<img src="${dataUrl}" onload="setTimeout(function(){window.print()},100)">`
+  );
+  win.document.close();
+}
 
-/* Floor component (repeating texture) */
-function Floor({ tileTexture, repeatX = 8, repeatY = 8, sizeX = 10, sizeY = 10, roughness = 0.7, metalness = 0.05 }) {
-  const texture = useLoader(THREE.TextureLoader, tileTexture);
+/* ---------- Helpers: photo visualiser ---------- */
+const PHOTO_MAX_PX = 1600; // longest side the photo is worked on at
+const PHOTO_SHADE_DIV = 24; // lighting is read from the photo blurred to 1/24 size
+const PHONE_LENS_MM = 26; // typical main phone camera (35 mm equivalent), used when the photo can't tell
+
+// Homography [a, b, c, d, e, f, g, h, 1] taking the unit square (0,0) (1,0) (1,1) (0,1) to quad corners 0–3
+function squareToQuad([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const sx = x0 - x1 + x2 - x3;
+  const sy = y0 - y1 + y2 - y3;
+  let g = 0;
+  let h = 0;
+  if (sx || sy) {
+    const den = dx1 * dy2 - dx2 * dy1;
+    g = (sx * dy2 - dx2 * sy) / den;
+    h = (dx1 * sy - sx * dy1) / den;
+  }
+  return [x1 - x0 + g * x1, x3 - x0 + h * x3, x0, y1 - y0 + g * y1, y3 - y0 + h * y3, y0, g, h, 1];
+}
+
+function invertHomography([a, b, c, d, e, f, g, h, i]) {
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  return [A, c * h - b * i, b * f - c * e, B, a * i - c * g, c * d - a * f, C, b * g - a * h, a * e - b * d].map((v) => v / det);
+}
+
+function applyHomography(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+  return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w];
+}
+
+/*
+ * photoPlaneSize - real size (m) of the rectangle marked as `quad` (pixels) in a width × height
+ * photo, from one reference segment `ref` ([[x, y], [x, y]] in pixels) of `lengthM`.
+ * The camera's focal length comes from the rectangle's corners being square (principal point at
+ * the image centre); a photo taken square-on to a side gives no such cue, so a phone lens is assumed.
+ */
+function photoPlaneSize(quad, width, height, ref, lengthM) {
+  const H = squareToQuad(quad);
+  const [cx, cy] = [width / 2, height / 2];
+  const h1 = [H[0] - cx * H[6], H[3] - cy * H[6], H[6]];
+  const h2 = [H[1] - cx * H[7], H[4] - cy * H[7], H[7]];
+  const f2 = -(h1[0] * h2[0] + h1[1] * h2[1]) / (h1[2] * h2[2]);
+  const longest = Math.max(width, height);
+  const estimated = Number.isFinite(f2) && f2 > (0.3 * longest) ** 2 && f2 < (5 * longest) ** 2;
+  const focal = estimated ? Math.sqrt(f2) : (PHONE_LENS_MM / 43.27) * Math.hypot(width, height); // 35 mm equivalent
+  const norm = ([x, y, z]) => Math.hypot(x / focal, y / focal, z);
+  const aspect = norm(h1) / norm(h2); // width / depth
+
+  const inv = invertHomography(H);
+  const [ua, va] = applyHomography(inv, ...ref[0]);
+  const [ub, vb] = applyHomography(inv, ...ref[1]);
+  const span = Math.hypot(ub - ua, (vb - va) / aspect);
+  if (!(span > 1e-6) || !(lengthM > 0)) return null;
+  const widthM = lengthM / span;
+  return { widthM, depthM: widthM / aspect, focal, estimated };
+}
+
+// Downscaled copies of a canvas, each half the last, so distant tiles don't shimmer
+function mipLevels(canvas) {
+  const levels = [];
+  let src = canvas;
+  for (;;) {
+    levels.push({ w: src.width, h: src.height, data: src.getContext("2d").getImageData(0, 0, src.width, src.height).data });
+    if (src.width < 16 || src.height < 16) return levels;
+    const next = document.createElement("canvas");
+    next.width = Math.max(1, Math.round(src.width / 2));
+    next.height = Math.max(1, Math.round(src.height / 2));
+    next.getContext("2d").drawImage(src, 0, 0, next.width, next.height);
+    src = next;
+  }
+}
+
+/*
+ * renderTiledPhoto - the photo with the marked quad re-laid in the tile pattern: `period` is one
+ * repeat of the pattern (canvas, grout included) covering periodM [x, y] metres, laid from
+ * corner 0 of the quad. Pixels painted on `mask` keep the photo; the rest take the photo's
+ * blurred brightness, scaled by `blend` (0 flat, 1 full), as light and shadow.
+ */
+function renderTiledPhoto({ photo, quad, size, period, periodM, mask, blend = 0.8 }) {
+  const { width: w, height: h } = photo;
+  const out = document.createElement("canvas");
+  out.width = w;
+  out.height = h;
+  const ctx = out.getContext("2d");
+  ctx.drawImage(photo, 0, 0, w, h);
+  const img = ctx.getImageData(0, 0, w, h);
+  const dst = img.data;
+
+  const small = document.createElement("canvas");
+  small.width = Math.max(1, Math.ceil(w / PHOTO_SHADE_DIV));
+  small.height = Math.max(1, Math.ceil(h / PHOTO_SHADE_DIV));
+  small.getContext("2d").drawImage(photo, 0, 0, small.width, small.height);
+  const blurred = document.createElement("canvas");
+  blurred.width = w;
+  blurred.height = h;
+  const bctx = blurred.getContext("2d");
+  bctx.imageSmoothingQuality = "high";
+  bctx.drawImage(small, 0, 0, w, h);
+  const shade = bctx.getImageData(0, 0, w, h).data;
+  const maskData = mask ? mask.getContext("2d").getImageData(0, 0, w, h).data : null;
+
+  const inv = invertHomography(squareToQuad(quad));
+  const inside = (u, v) => u >= 0 && u <= 1 && v >= 0 && v <= 1;
+  const lum = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+  const [P, Q] = periodM;
+  const levels = mipLevels(period);
+  const texPerM = levels[0].w / P;
+
+  // Average brightness of the surface, so the blend keeps the tile's own colour on average
+  let total = 0;
+  let count = 0;
+  for (let y = 0; y < h; y += PHOTO_SHADE_DIV / 2) {
+    for (let x = 0; x < w; x += PHOTO_SHADE_DIV / 2) {
+      if (!inside(...applyHomography(inv, x, y))) continue;
+      total += lum(shade, (Math.floor(y) * w + Math.floor(x)) * 4);
+      count++;
+    }
+  }
+  const mean = count ? total / count : 128;
+
+  const xs = quad.map((p) => p[0]);
+  const ys = quad.map((p) => p[1]);
+  const [x0, x1] = [Math.max(0, Math.floor(Math.min(...xs))), Math.min(w - 1, Math.ceil(Math.max(...xs)))];
+  const [y0, y1] = [Math.max(0, Math.floor(Math.min(...ys))), Math.min(h - 1, Math.ceil(Math.max(...ys)))];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const i = (y * w + x) * 4;
+      if (maskData && maskData[i + 3] > 127) continue;
+      const [u, v] = applyHomography(inv, x + 0.5, y + 0.5);
+      if (!inside(u, v)) continue;
+      const X = u * size.widthM;
+      const Y = v * size.depthM;
+
+      // Metres covered by one pixel picks the mip level
+      const [ux, vx] = applyHomography(inv, x + 1.5, y + 0.5);
+      const [uy, vy] = applyHomography(inv, x + 0.5, y + 1.5);
+      const mPerPx = Math.max(Math.hypot((ux - u) * size.widthM, (vx - v) * size.depthM), Math.hypot((uy - u) * size.widthM, (vy - v) * size.depthM));
+      const level = levels[Math.min(levels.length - 1, Math.max(0, Math.floor(Math.log2(mPerPx * texPerM))))];
+      const tx = Math.floor(((((X % P) + P) % P) / P) * level.w) % level.w;
+      const ty = Math.floor(((((Y % Q) + Q) % Q) / Q) * level.h) % level.h;
+      const t = (ty * level.w + tx) * 4;
+
+      const light = Math.min(1.6, Math.max(0.3, 1 + (lum(shade, i) / mean - 1) * blend));
+      dst[i] = Math.min(255, level.data[t] * light);
+      dst[i + 1] = Math.min(255, level.data[t + 1] * light);
+      dst[i + 2] = Math.min(255, level.data[t + 2] * light);
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return out;
+}
+
+/* ---------- Helpers: undo history ---------- */
+const UNDO_LIMIT = 100;
+const UNDO_MERGE_MS = 600; // further changes to the same fields within this time join the last step
+
+/*
+ * useUndoHistory - undo/redo over state fields given as { key: [value, setValue] }.
+ * Every change becomes a step, except that changes between beginGesture() and the next pointerup
+ * (dragging a TransformControls handle or a slider) collapse into one, as do quick repeated changes
+ * to the same fields (colour pickers, arrow keys on a slider).
+ * reset(values) forgets the history and takes `values` as the new starting point (room switch, design load).
+ */
+function useUndoHistory(fields) {
+  const current = Object.fromEntries(Object.entries(fields).map(([key, [value]]) => [key, value]));
+  const ref = useRef({ past: [], future: [], last: current, gesture: false, lastKeys: "", lastTime: 0 });
+  const fieldsRef = useRef(fields);
+  fieldsRef.current = fields;
+  const [, setSteps] = useState(0); // re-render when the stacks change
+
+  useEffect(() => {
+    const h = ref.current;
+    const changed = Object.keys(current).filter((key) => current[key] !== h.last[key]);
+    if (!changed.length) return;
+    const keys = changed.sort().join();
+    const now = Date.now();
+    const merge = h.gesture ? h.lastKeys === "*" : keys === h.lastKeys && now - h.lastTime < UNDO_MERGE_MS;
+    if (!merge) {
+      h.past.push(h.last);
+      if (h.past.length > UNDO_LIMIT) h.past.shift();
+      h.future = [];
+      setSteps((n) => n + 1);
+    }
+    h.last = current;
+    h.lastKeys = h.gesture ? "*" : keys;
+    h.lastTime = now;
+  });
+
+  useEffect(() => {
+    const onUp = () => {
+      ref.current.gesture = false;
+      ref.current.lastKeys = "";
+    };
+    window.addEventListener("pointerup", onUp);
+    return () => window.removeEventListener("pointerup", onUp);
+  }, []);
+
+  const apply = (snapshot) => {
+    const h = ref.current;
+    h.last = snapshot;
+    h.lastKeys = "";
+    Object.entries(fieldsRef.current).forEach(([key, [value, set]]) => {
+      if (key in snapshot && snapshot[key] !== value) set(snapshot[key]);
+    });
+    setSteps((n) => n + 1);
+  };
+  const undo = () => {
+    const h = ref.current;
+    if (!h.past.length) return;
+    h.future.push(h.last);
+    apply(h.past.pop());
+  };
+  const redo = () => {
+    const h = ref.current;
+    if (!h.future.length) return;
+    h.past.push(h.last);
+    apply(h.future.pop());
+  };
+  const beginGesture = () => {
+    ref.current.gesture = true;
+    ref.current.lastKeys = "";
+  };
+  const reset = (values = {}) => {
+    const h = ref.current;
+    const known = Object.fromEntries(Object.entries(values).filter(([key]) => key in h.last));
+    h.past = [];
+    h.future = [];
+    h.last = { ...h.last, ...known };
+    h.lastKeys = "";
+    setSteps((n) => n + 1);
+  };
+
+  return {
+    undo,
+    redo,
+    beginGesture,
+    reset,
+    canUndo: ref.current.past.length > 0,
+    canRedo: ref.current.future.length > 0,
+  };
+}
+
+/* ---------- Helpers: imported furniture models ---------- */
+// Reps' own GLB/GLTF models live in IndexedDB (too big for localStorage), one record per model:
+// { id, label, category, fileName, blob, modelScale, size: { x, y, z } (m, after scaling), fixed, createdAt }
+const MODEL_DB = "tiles-r-us";
+const MODEL_STORE = "models";
+const MODEL_MAX_BYTES = 25 * 1024 * 1024;
+const DRACO_DECODER_PATH = "https://www.gstatic.com/draco/versioned/decoders/1.5.5/"; // same decoder useGLTF uses
+
+function openModelDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(MODEL_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(MODEL_STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Runs one request against the model store and resolves with its result
+async function modelStoreRequest(mode, makeRequest) {
+  const db = await openModelDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const req = makeRequest(db.transaction(MODEL_STORE, mode).objectStore(MODEL_STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+const loadModelRecords = () => modelStoreRequest("readonly", (store) => store.getAll());
+const saveModelRecord = (record) => modelStoreRequest("readwrite", (store) => store.put(record));
+const deleteModelRecord = (id) => modelStoreRequest("readwrite", (store) => store.delete(id));
+
+// Catalog entry for an imported model (url is an object URL made for this session)
+function importedCatalogItem(record, url) {
+  return {
+    assetId: record.id,
+    label: record.label,
+    url,
+    category: record.category,
+    modelScale: record.modelScale,
+    fixed: !!record.fixed,
+    imported: true,
+    placeholder: "generic",
+    standInSize: record.size ? { sizeX: record.size.x, sizeZ: record.size.z, height: record.size.y } : undefined,
+  };
+}
+
+// Model files are usually authored in metres, centimetres, millimetres or inches; pick the unit
+// that gives furniture-sized dimensions (largest side 0.1–6 m)
+function guessModelScale(rawSize) {
+  const largest = Math.max(rawSize.x, rawSize.y, rawSize.z);
+  const unit = [1, 0.01, 0.0254, 0.001].find((k) => largest * k >= 0.1 && largest * k <= 6);
+  return unit ?? 1 / largest;
+}
+
+/*
+ * inspectModelFile - validates a dropped .glb/.gltf and measures it.
+ * Resolves { rawSize: { x, y, z }, meshes, suggestedScale }; rejects with a message for the rep.
+ */
+async function inspectModelFile(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (!["glb", "gltf"].includes(ext)) throw new Error("Please choose a .glb or .gltf file.");
+  if (file.size > MODEL_MAX_BYTES) throw new Error(`That model is ${(file.size / 1048576).toFixed(1)} MB; the limit is 25 MB.`);
+  const data = await file.arrayBuffer();
+  if (ext === "glb") {
+    if (data.byteLength < 12 || new TextDecoder().decode(new Uint8Array(data, 0, 4)) !== "glTF") {
+      throw new Error("That file isn't a valid GLB (missing glTF header).");
+    }
+  } else {
+    let json;
+    try {
+      json = JSON.parse(new TextDecoder().decode(data));
+    } catch {
+      throw new Error("That .gltf file isn't valid JSON.");
+    }
+    const external = [...(json.buffers || []), ...(json.images || [])].some((b) => b.uri && !b.uri.startsWith("data:"));
+    if (external) throw new Error("This .gltf refers to separate .bin or texture files. Export it as a single .glb instead.");
+  }
+
+  const loader = new GLTFLoader();
+  const draco = new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+  loader.setDRACOLoader(draco);
+  let gltf;
+  try {
+    gltf = await loader.parseAsync(data, "");
+  } catch (err) {
+    throw new Error(`The model couldn't be read (${err?.message || "unknown error"}).`);
+  } finally {
+    draco.dispose();
+  }
+
+  let meshes = 0;
+  gltf.scene.traverse((o) => {
+    if (o.isMesh) meshes++;
+  });
+  if (!meshes) throw new Error("The model has no meshes to show.");
+  gltf.scene.updateMatrixWorld(true);
+  const size = new THREE.Box3().setFromObject(gltf.scene).getSize(new THREE.Vector3());
+  if (!(size.x > 0 && size.y > 0 && size.z > 0) || !Number.isFinite(size.x + size.y + size.z)) {
+    throw new Error("The model has no measurable size.");
+  }
+  const rawSize = { x: size.x, y: size.y, z: size.z };
+  return { rawSize, meshes, suggestedScale: guessModelScale(rawSize) };
+}
+
+/* ---------- Helpers: cut planning ---------- */
+const LAYOUT_STARTS = {
+  centered: "Centered",
+  corner: "From a corner",
+  doorway: "From a doorway",
+};
+
+const LAYOUT_CORNERS = {
+  "back-left": "Back-left",
+  "back-right": "Back-right",
+  "front-left": "Front-left",
+  "front-right": "Front-right",
+};
+
+// Piece left against the low and high edge of [min, max] for a grid through `origin`
+function edgePieces(min, max, origin, tile) {
+  const first = origin + Math.ceil((min - origin) / tile - 1e-9) * tile;
+  const last = origin + Math.floor((max - origin) / tile + 1e-9) * tile;
+  const low = first - min < 1e-9 ? tile : first - min;
+  const high = max - last < 1e-9 ? tile : max - last;
+  return [low, high];
+}
+
+// Tile centered on the middle, or a joint on the middle — whichever leaves the larger edge cuts
+function centeredOrigin(min, max, tile) {
+  const mid = (min + max) / 2;
+  const options = [mid - tile / 2, mid];
+  const score = (o) => Math.min(...edgePieces(min, max, o, tile));
+  return score(options[0]) >= score(options[1]) ? options[0] : options[1];
+}
+
+/*
+ * Grid origin [x, z] for the floor layout. `door` is { wall, rect } for "doorway" starts:
+ * a full tile is centered on the door and the first row starts at the threshold.
+ */
+function layoutGridOrigin(outline, tileX, tileZ, start = "centered", corner = "back-left", door = null) {
+  const b = polygonBounds(outline);
+  const centered = [centeredOrigin(b.minX, b.maxX, tileX), centeredOrigin(b.minZ, b.maxZ, tileZ)];
+
+  if (start === "corner") {
+    return [corner.endsWith("right") ? b.maxX : b.minX, corner.startsWith("front") ? b.maxZ : b.minZ];
+  }
+
+  if (start === "doorway" && door) {
+    const { wall, rect } = door;
+    const xdir = [Math.cos(wall.rotationY), -Math.sin(wall.rotationY)];
+    const along = (rect.x0 + rect.x1) / 2 - wall.length / 2;
+    const center = [wall.mid[0] + xdir[0] * along, wall.mid[1] + xdir[1] * along];
+    if (Math.abs(xdir[1]) < 1e-6) return [center[0] - tileX / 2, wall.mid[1]];
+    if (Math.abs(xdir[0]) < 1e-6) return [wall.mid[0], center[1] - tileZ / 2];
+  }
+
+  return centered;
+}
+
+// Sutherland–Hodgman clip of the outline against an axis-aligned rectangle
+function clipPolygonToRect(points, minX, minZ, maxX, maxZ) {
+  const edges = [
+    (p) => p[0] >= minX, (a, c) => [minX, a[1] + ((minX - a[0]) / (c[0] - a[0])) * (c[1] - a[1])],
+    (p) => p[0] <= maxX, (a, c) => [maxX, a[1] + ((maxX - a[0]) / (c[0] - a[0])) * (c[1] - a[1])],
+    (p) => p[1] >= minZ, (a, c) => [a[0] + ((minZ - a[1]) / (c[1] - a[1])) * (c[0] - a[0]), minZ],
+    (p) => p[1] <= maxZ, (a, c) => [a[0] + ((maxZ - a[1]) / (c[1] - a[1])) * (c[0] - a[0]), maxZ],
+  ];
+  let out = points;
+  for (let e = 0; e < edges.length && out.length; e += 2) {
+    const inside = edges[e];
+    const cross = edges[e + 1];
+    const input = out;
+    out = [];
+    input.forEach((cur, i) => {
+      const prev = input[(i + input.length - 1) % input.length];
+      if (inside(cur)) {
+        if (!inside(prev)) out.push(cross(prev, cur));
+        out.push(cur);
+      } else if (inside(prev)) {
+        out.push(cross(prev, cur));
+      }
+    });
+  }
+  return out;
+}
+
+const MAX_CUT_PLAN_CELLS = 250000;
+
+/*
+ * Lay a tileX × tileZ grid from `origin` over the outline and classify every cell as a full
+ * tile or a cut piece. Cut pieces are assigned to the nearest wall and grouped into a cut list.
+ */
+function planFloorCuts(outline, tileX, tileZ, origin, minCutM, wallLabels = []) {
+  const b = polygonBounds(outline);
+  const i0 = Math.floor((b.minX - origin[0]) / tileX + 1e-9);
+  const i1 = Math.ceil((b.maxX - origin[0]) / tileX - 1e-9);
+  const j0 = Math.floor((b.minZ - origin[1]) / tileZ + 1e-9);
+  const j1 = Math.ceil((b.maxZ - origin[1]) / tileZ - 1e-9);
+  if ((i1 - i0) * (j1 - j0) > MAX_CUT_PLAN_CELLS) return null;
+
+  const walls = wallSegmentsFromOutline(outline).map((w, index) => ({
+    ...w,
+    index,
+    label: wallLabels[index] || `Wall ${index + 1}`,
+    cutTiles: 0,
+    slivers: 0,
+    minCutM: Infinity,
+  }));
+  const tileArea = tileX * tileZ;
+  const groups = new Map();
+  let fullTiles = 0;
+  let cutTiles = 0;
+  let slivers = 0;
+
+  for (let i = i0; i < i1; i++) {
+    for (let j = j0; j < j1; j++) {
+      const x0 = origin[0] + i * tileX;
+      const z0 = origin[1] + j * tileZ;
+      const piece = clipPolygonToRect(outline, x0, z0, x0 + tileX, z0 + tileZ);
+      if (piece.length < 3) continue;
+      const area = polygonArea(piece);
+      if (area < 1e-8) continue;
+      if (area >= tileArea * (1 - 1e-6)) {
+        fullTiles++;
+        continue;
+      }
+
+      cutTiles++;
+      const pb = polygonBounds(piece);
+      const cutX = pb.width < tileX - 1e-6;
+      const cutZ = pb.depth < tileZ - 1e-6;
+      const smallest = Math.min(cutX ? pb.width : Infinity, cutZ ? pb.depth : Infinity);
+      const isSliver = smallest < minCutM;
+
+      // Nearest wall to the piece's center
+      let wall = walls[0];
+      let best = Infinity;
+      walls.forEach((w) => {
+        const [cx, cz] = closestPointOnSegment(pb.cx, pb.cz, w.start, w.end);
+        const d = (cx - pb.cx) ** 2 + (cz - pb.cz) ** 2;
+        if (d < best) {
+          best = d;
+          wall = w;
+        }
+      });
+      wall.cutTiles++;
+      if (Number.isFinite(smallest)) wall.minCutM = Math.min(wall.minCutM, smallest);
+      if (isSliver) {
+        wall.slivers++;
+        slivers++;
+      }
+
+      const widthMm = Math.round(pb.width * 1000);
+      const lengthMm = Math.round(pb.depth * 1000);
+      const key = `${wall.index}|${widthMm}|${lengthMm}`;
+      const entry = groups.get(key) || { wall: wall.label, wallIndex: wall.index, widthMm, lengthMm, qty: 0, sliver: isSliver };
+      entry.qty++;
+      groups.set(key, entry);
+    }
+  }
+
+  return {
+    fullTiles,
+    cutTiles,
+    slivers,
+    walls: walls.map((w) => ({
+      index: w.index,
+      label: w.label,
+      cutTiles: w.cutTiles,
+      slivers: w.slivers,
+      minCutMm: Number.isFinite(w.minCutM) ? Math.round(w.minCutM * 1000) : null,
+    })),
+    cutList: Array.from(groups.values()).sort((a, c) => a.wallIndex - c.wallIndex || c.qty - a.qty),
+  };
+}
+
+/* ---------- Helpers: tile laying patterns ---------- */
+// Waste factors are typical allowances for cuts and breakage per layout
+const LAYOUT_PATTERNS = {
+  straight:    { label: "Straight (grid)",           waste: 0.05 },
+  running:     { label: "Running bond (1/2 offset)", waste: 0.1 },
+  third:       { label: "1/3 offset",                waste: 0.1 },
+  herringbone: { label: "Herringbone",               waste: 0.15 },
+  diagonal:    { label: "Diagonal (45°)",            waste: 0.15 },
+  basketweave: { label: "Basketweave",               waste: 0.12 },
+  versailles:  { label: "Versailles (French)",       waste: 0.15 },
+};
+
+const patternWaste = (pattern) => (LAYOUT_PATTERNS[pattern] || LAYOUT_PATTERNS.straight).waste;
+
+// Versailles module in units of a third of the tile length: [x, y, w, h]
+const VERSAILLES_PIECES = [
+  [0, 0, 2, 3], [2, 0, 2, 2], [4, 0, 2, 1], [4, 1, 2, 2], [2, 2, 2, 1],
+  [0, 3, 1, 1], [1, 3, 2, 3], [0, 4, 1, 2], [3, 3, 3, 2], [3, 5, 2, 1], [5, 5, 1, 1],
+];
+
+/*
+ * Pattern layout for tiles of length a × width b (a ≥ b): a rectangular period plus the
+ * lattice vectors and motif tiles ({ x, y, w, h, angle }, centered) that repeat inside it.
+ * Patterns that need whole planks per square use b' = a / round(a / b).
+ */
+function buildPatternLayout(pattern, tileA, tileB) {
+  const a = Math.max(tileA, tileB);
+  const b = Math.min(tileA, tileB);
+  const k = Math.max(1, Math.round(a / b));
+  const bk = a / k;
+
+  switch (pattern) {
+    case "running":
+      return {
+        period: [a, 2 * b],
+        t1: [a, 0],
+        t2: [0, 2 * b],
+        motif: [
+          { x: a / 2, y: b / 2, w: a, h: b, angle: 0 },
+          { x: a, y: (3 * b) / 2, w: a, h: b, angle: 0 },
+        ],
+      };
+    case "third":
+      return {
+        period: [a, 3 * b],
+        t1: [a, 0],
+        t2: [0, 3 * b],
+        motif: [0, 1, 2].map((row) => ({ x: a / 2 + (row * a) / 3, y: b / 2 + row * b, w: a, h: b, angle: 0 })),
+      };
+    case "herringbone":
+      // One horizontal and one vertical plank per lattice cell; the staircase repeats every 2a × 2a
+      return {
+        period: [2 * a, 2 * a],
+        t1: [bk, bk],
+        t2: [a, -a],
+        motif: [
+          { x: a / 2, y: bk / 2, w: a, h: bk, angle: 0 },
+          { x: a + bk / 2, y: bk - a / 2, w: a, h: bk, angle: Math.PI / 2 },
+        ],
+      };
+    case "diagonal": {
+      const c = Math.SQRT1_2;
+      return {
+        period: [a * Math.SQRT2, a * Math.SQRT2],
+        t1: [a * c, a * c],
+        t2: [-bk * c, bk * c],
+        motif: [{ x: 0, y: 0, w: a, h: bk, angle: Math.PI / 4 }],
+      };
+    }
+    case "basketweave": {
+      const motif = [];
+      [[0, 0, 0], [a, 0, 1], [0, a, 1], [a, a, 0]].forEach(([bx, by, vertical]) => {
+        for (let i = 0; i < k; i++) {
+          motif.push(
+            vertical
+              ? { x: bx + bk / 2 + i * bk, y: by + a / 2, w: a, h: bk, angle: Math.PI / 2 }
+              : { x: bx + a / 2, y: by + bk / 2 + i * bk, w: a, h: bk, angle: 0 }
+          );
+        }
+      });
+      return { period: [2 * a, 2 * a], t1: [2 * a, 0], t2: [0, 2 * a], motif };
+    }
+    case "versailles": {
+      const u = a / 3;
+      return {
+        period: [6 * u, 6 * u],
+        t1: [6 * u, 0],
+        t2: [0, 6 * u],
+        motif: VERSAILLES_PIECES.map(([x, y, w, h]) => ({ x: (x + w / 2) * u, y: (y + h / 2) * u, w: w * u, h: h * u, angle: 0 })),
+      };
+    }
+    default:
+      return { period: [a, b], t1: [a, 0], t2: [0, b], motif: [{ x: a / 2, y: b / 2, w: a, h: b, angle: 0 }] };
+  }
+}
+
+// Every tile of the layout (lattice copies of the motif) that touches the period rectangle
+function patternTilesInPeriod(layout) {
+  const [P, Q] = layout.period;
+  const reach = Math.max(...layout.motif.map((m) => Math.hypot(m.w, m.h) / 2));
+  const minStep = Math.min(Math.hypot(...layout.t1), Math.hypot(...layout.t2));
+  const n = Math.ceil((P + Q + 2 * reach) / minStep) + 2;
+  const tiles = [];
+  for (let i = -n; i <= n; i++) {
+    for (let j = -n; j <= n; j++) {
+      const ox = i * layout.t1[0] + j * layout.t2[0];
+      const oy = i * layout.t1[1] + j * layout.t2[1];
+      layout.motif.forEach((m) => {
+        const x = m.x + ox;
+        const y = m.y + oy;
+        if (x > -reach && x < P + reach && y > -reach && y < Q + reach) tiles.push({ ...m, x, y });
+      });
+    }
+  }
+  return tiles;
+}
+
+// Seamless canvas texture holding one pattern period: tile photos on a grout-coloured bed
+const patternTextureCache = new Map();
+
+// Stable cache key for an image or canvas (canvases have no src)
+const imageKeys = new WeakMap();
+let imageKeyCounter = 0;
+function imageKey(image) {
+  if (image.src || image.currentSrc) return image.src || image.currentSrc;
+  if (!imageKeys.has(image)) imageKeys.set(image, `canvas-${++imageKeyCounter}`);
+  return imageKeys.get(image);
+}
+
+// `linear` is for data maps (normal, roughness, AO) that must not be sRGB-decoded
+function getPatternTexture(image, pattern, tileA, tileB, groutMm, groutColor, linear = false) {
+  if (!image) return null;
+  const layout = buildPatternLayout(pattern, tileA, tileB);
+  const [P, Q] = layout.period;
+  const key = [imageKey(image), pattern, tileA.toFixed(4), tileB.toFixed(4), groutMm, groutColor, linear].join("|");
+  const cached = patternTextureCache.get(key);
+  if (cached) return cached;
+
+  const pxPerM = Math.min(2048 / Math.max(P, Q), 512 / Math.max(tileA, tileB));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(8, Math.round(P * pxPerM));
+  canvas.height = Math.max(8, Math.round(Q * pxPerM));
+  const ctx = canvas.getContext("2d");
+  const sx = canvas.width / P;
+  const sy = canvas.height / Q;
+  const gap = groutMm > 0 ? Math.max(1, (groutMm / 1000) * pxPerM) : 0;
+
+  ctx.fillStyle = groutColor;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  patternTilesInPeriod(layout).forEach((t) => {
+    ctx.save();
+    ctx.translate(t.x * sx, t.y * sy);
+    ctx.rotate(t.angle);
+    const w = t.w * sx;
+    const h = t.h * sy;
+    ctx.drawImage(image, -w / 2 + gap / 2, -h / 2 + gap / 2, Math.max(1, w - gap), Math.max(1, h - gap));
+    ctx.restore();
+  });
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.encoding = linear ? THREE.LinearEncoding : THREE.sRGBEncoding;
+  texture.anisotropy = 16;
+  const entry = { texture, period: [P, Q] };
+
+  // Keep the cache small: grout and size tweaks create new entries
+  if (patternTextureCache.size > 24) {
+    const [oldKey, oldEntry] = patternTextureCache.entries().next().value;
+    oldEntry.texture.dispose();
+    patternTextureCache.delete(oldKey);
+  }
+  patternTextureCache.set(key, entry);
+  return entry;
+}
+
+/*
+ * usePatternTexture - per-surface copy of a pattern texture repeated over sizeX × sizeY meters.
+ * `startM` is where the pattern starts, in meters from the surface's UV origin.
+ */
+function usePatternTexture(baseTexture, pattern, tileW, tileH, groutMm, groutColor, sizeX, sizeY, startM = [0, 0], linear = false) {
+  const active = pattern && pattern !== "straight";
+  const entry = active ? getPatternTexture(baseTexture?.image, pattern, tileW, tileH, groutMm, groutColor, linear) : null;
+
+  const texture = useMemo(() => {
+    if (!entry) return null;
+    const t = entry.texture.clone();
+    t.needsUpdate = true;
+    return t;
+  }, [entry]);
+
+  const [startU, startV] = startM;
+  useEffect(() => {
+    if (!texture || !entry) return;
+    texture.repeat.set(sizeX / entry.period[0], sizeY / entry.period[1]);
+    texture.offset.set(-startU / entry.period[0], -startV / entry.period[1]);
+  }, [texture, entry, sizeX, sizeY, startU, startV]);
+
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  return texture;
+}
+
+/*
+ * useGroutShader - draws straight-grid grout joints in the surface's own material shader.
+ * The grid lives in the mesh's local XY plane (meters): `tileSize` is the joint spacing,
+ * `origin` a point on a joint corner. Width/colour only touch uniforms, never geometry.
+ * Returns props for <meshStandardMaterial>.
+ */
+function useGroutShader({ enabled = false, tileSize = [1, 1], origin = [0, 0], widthM = 0.003, color = "#cccccc" }) {
+  const uniforms = useMemo(
+    () => ({
+      uGroutEnabled: { value: 0 },
+      uGroutTile: { value: new THREE.Vector2(1, 1) },
+      uGroutOrigin: { value: new THREE.Vector2(0, 0) },
+      uGroutWidth: { value: 0.003 },
+      uGroutColor: { value: new THREE.Color(color) },
+    }),
+    []
+  );
+
+  useEffect(() => {
+    uniforms.uGroutEnabled.value = enabled ? 1 : 0;
+    uniforms.uGroutTile.value.set(Math.max(1e-4, tileSize[0]), Math.max(1e-4, tileSize[1]));
+    uniforms.uGroutOrigin.value.set(origin[0], origin[1]);
+    uniforms.uGroutWidth.value = Math.max(0, widthM);
+    uniforms.uGroutColor.value.set(color);
+  }, [uniforms, enabled, tileSize[0], tileSize[1], origin[0], origin[1], widthM, color]);
+
+  const onBeforeCompile = useCallback(
+    (shader) => {
+      Object.assign(shader.uniforms, uniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace("#include <common>", "#include <common>\nvarying vec2 vGroutPos;")
+        .replace("#include <begin_vertex>", "#include <begin_vertex>\nvGroutPos = position.xy;");
+      shader.fragmentShader = shader.fragmentShader
+        .replace(
+          "#include <common>",
+          [
+            "#include <common>",
+            "varying vec2 vGroutPos;",
+            "uniform float uGroutEnabled;",
+            "uniform vec2 uGroutTile;",
+            "uniform vec2 uGroutOrigin;",
+            "uniform float uGroutWidth;",
+            "uniform vec3 uGroutColor;",
+            "float groutMask() {",
+            "  if (uGroutEnabled < 0.5 || uGroutWidth <= 0.0) return 0.0;",
+            "  vec2 cell = (vGroutPos - uGroutOrigin) / uGroutTile;",
+            // Distance (meters) to the nearest joint on each axis, anti-aliased by screen-space derivatives
+            "  vec2 dist = abs(fract(cell + 0.5) - 0.5) * uGroutTile;",
+            "  vec2 aa = max(fwidth(vGroutPos), vec2(1e-5));",
+            "  vec2 line = 1.0 - smoothstep(vec2(uGroutWidth * 0.5) - aa, vec2(uGroutWidth * 0.5) + aa, dist);",
+            "  return max(line.x, line.y);",
+            "}",
+          ].join("\n")
+        )
+        .replace(
+          "#include <map_fragment>",
+          "#include <map_fragment>\nfloat groutAmount = groutMask();\ndiffuseColor.rgb = mix(diffuseColor.rgb, uGroutColor, groutAmount);"
+        )
+        .replace(
+          "#include <roughnessmap_fragment>",
+          "#include <roughnessmap_fragment>\nroughnessFactor = mix(roughnessFactor, 0.95, groutAmount);"
+        );
+    },
+    [uniforms]
+  );
+
+  const customProgramCacheKey = useCallback(() => "tiles-r-us-grout", []);
+
+  return { onBeforeCompile, customProgramCacheKey };
+}
+
+/* Grout joint width in scene meters (kept visible but never wider than 3 cm) */
+function groutWidthMeters(groutMm) {
+  return Math.max(0.0005, Math.min(0.03, (Number(groutMm) || 0) / 1000));
+}
+
+/* ---------- Helpers: tile material sets (PBR) ---------- */
+// Surface response per catalog finish (displacement only shows on the finely divided close-up preview)
+const TILE_FINISHES = {
+  Polished: { roughness: 0.12, metalness: 0.02, normalScale: 0.1, displacementScale: 0 },
+  Gloss:    { roughness: 0.18, metalness: 0.02, normalScale: 0.15, displacementScale: 0 },
+  Honed:    { roughness: 0.45, metalness: 0.01, normalScale: 0.35, displacementScale: 0 },
+  Matte:    { roughness: 0.7, metalness: 0, normalScale: 0.5, displacementScale: 0 },
+  Flamed:   { roughness: 0.85, metalness: 0, normalScale: 1.2, displacementScale: 0.004 },
+};
+
+// Finish values for a product; `product.material` overrides individual fields
+function productMaterial(product) {
+  return { ...(TILE_FINISHES[product?.finish] || TILE_FINISHES.Matte), ...(product?.material || {}) };
+}
+
+// Flat tangent-space normal and the roughness used for baked grout in data maps
+const FLAT_NORMAL_COLOR = "#8080ff";
+const GROUT_ROUGHNESS_COLOR = "#ffffff";
+
+/*
+ * deriveSurfaceMaps - normal, roughness and height maps from a colour image, for products that
+ * don't ship their own. Height is luminance; roughness rises slightly in darker areas (veins, pits).
+ */
+const derivedMapCache = new Map();
+function deriveSurfaceMaps(image) {
+  if (!image || !image.width) return null;
+  const key = imageKey(image);
+  if (derivedMapCache.has(key)) return derivedMapCache.get(key);
+
+  const scale = Math.min(1, 512 / Math.max(image.width, image.height));
+  const w = Math.max(4, Math.round(image.width * scale));
+  const h = Math.max(4, Math.round(image.height * scale));
+  const src = document.createElement("canvas");
+  src.width = w;
+  src.height = h;
+  const sctx = src.getContext("2d");
+  sctx.drawImage(image, 0, 0, w, h);
+  const pixels = sctx.getImageData(0, 0, w, h).data;
+
+  const lum = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    lum[i] = (0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]) / 255;
+  }
+  const at = (x, y) => lum[((y + h) % h) * w + ((x + w) % w)]; // wraps, so tiled maps stay seamless
+
+  const makeCanvas = () => {
+    const c = document.createElement("canvas");
+    c.width = w;
+    c.height = h;
+    const ctx = c.getContext("2d");
+    return { c, ctx, img: ctx.createImageData(w, h) };
+  };
+  const normal = makeCanvas();
+  const rough = makeCanvas();
+  const height = makeCanvas();
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      // Sobel gradient of the height field
+      const dx =
+        at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const dy =
+        at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      const nx = -dx;
+      const ny = dy;
+      const len = Math.hypot(nx, ny, 1);
+      normal.img.data[i] = ((nx / len) * 0.5 + 0.5) * 255;
+      normal.img.data[i + 1] = ((ny / len) * 0.5 + 0.5) * 255;
+      normal.img.data[i + 2] = ((1 / len) * 0.5 + 0.5) * 255;
+      normal.img.data[i + 3] = 255;
+
+      const l = lum[y * w + x];
+      const r = (0.8 + 0.2 * (1 - l)) * 255;
+      rough.img.data[i] = r;
+      rough.img.data[i + 1] = r;
+      rough.img.data[i + 2] = r;
+      rough.img.data[i + 3] = 255;
+
+      height.img.data[i] = l * 255;
+      height.img.data[i + 1] = l * 255;
+      height.img.data[i + 2] = l * 255;
+      height.img.data[i + 3] = 255;
+    }
+  }
+
+  const toTexture = ({ c, ctx, img }) => {
+    ctx.putImageData(img, 0, 0);
+    const t = new THREE.CanvasTexture(c);
+    t.wrapS = THREE.RepeatWrapping;
+    t.wrapT = THREE.RepeatWrapping;
+    return t;
+  };
+  const entry = { normal: toTexture(normal), roughness: toTexture(rough), displacement: toTexture(height) };
+
+  if (derivedMapCache.size > 12) {
+    const [oldKey, old] = derivedMapCache.entries().next().value;
+    Object.values(old).forEach((t) => t.dispose());
+    derivedMapCache.delete(oldKey);
+  }
+  derivedMapCache.set(key, entry);
+  return entry;
+}
 
+/*
+ * useMaterialMaps - loads a product's map set ({ color, normal, roughness, ao, displacement } URLs)
+ * in one go. A missing colour photo falls back to the `procedural` spec (or a plain generated face).
+ * Missing normal/roughness/displacement maps are derived from the colour map; AO stays optional.
+ */
+function useMaterialMaps(maps) {
+  const resolved = { ...maps, color: colorMapUrl(maps) };
+  const slots = ["color", "normal", "roughness", "ao", "displacement"].filter((k) => resolved[k]);
+  const loaded = useLoader(THREE.TextureLoader, slots.map((k) => resolved[k]));
+  const byKey = Object.fromEntries(slots.map((k, i) => [k, loaded[i]]));
+  const derived = byKey.normal && byKey.roughness && byKey.displacement ? null : deriveSurfaceMaps(byKey.color?.image);
+  return {
+    color: byKey.color || null,
+    normal: byKey.normal || derived?.normal || null,
+    roughness: byKey.roughness || derived?.roughness || null,
+    ao: byKey.ao || null,
+    displacement: byKey.displacement || derived?.displacement || null,
+  };
+}
+
+/*
+ * useSurfaceMap - one map of a material set, placed on a surface of size[0] × size[1] meters:
+ * baked into the laying pattern, or repeated every `straightTile` meters (default `tile`) from `start`.
+ * Every map of a surface goes through here so colour, normal and roughness stay aligned.
+ */
+function useSurfaceMap(base, { pattern = "straight", tile, straightTile, groutMm, groutColor, size, start = [0, 0], linear = false }) {
+  const patternMap = usePatternTexture(base, pattern, tile[0], tile[1], groutMm, groutColor, size[0], size[1], start, linear);
+
+  const texture = useMemo(() => {
+    if (!base || patternMap) return null;
+    const t = base.clone();
+    t.needsUpdate = true;
+    return t;
+  }, [base, patternMap]);
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  const [stepX, stepY] = straightTile || tile;
   useEffect(() => {
     if (!texture) return;
     texture.wrapS = THREE.RepeatWrapping;
     texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(Math.max(1, Math.round(repeatX)), Math.max(1, Math.round(repeatY)));
+    texture.repeat.set(size[0] / stepX, size[1] / stepY);
+    texture.offset.set(-start[0] / stepX, -start[1] / stepY);
     if (texture.anisotropy !== undefined) texture.anisotropy = 16;
-    texture.encoding = THREE.sRGBEncoding;
+    texture.encoding = linear ? THREE.LinearEncoding : THREE.sRGBEncoding;
     texture.needsUpdate = true;
-  }, [texture, repeatX, repeatY]);
+  }, [texture, size[0], size[1], stepX, stepY, start[0], start[1], linear]);
 
-  return (
-    <mesh rotation-x={-Math.PI / 2} receiveShadow>
-      <planeGeometry args={[sizeX, sizeY]} />
-      <meshStandardMaterial map={texture} roughness={roughness} metalness={metalness} />
-    </mesh>
-  );
+  return patternMap || texture;
 }
 
-/* GroutLines - draws grout lines over floor */
-function GroutLines({ sizeX, sizeY, repeatX, repeatY, thicknessMeters = 0.003, color = "#cccccc", y = 0.01 }) {
-  if (repeatX < 2 && repeatY < 2) return null;
-  const lines = [];
+/*
+ * useSurfaceMaterial - colour + PBR maps for one surface. `finish` gives roughness, metalness and
+ * normal/displacement strength. Returns <meshStandardMaterial> props plus a key that changes when a
+ * map slot is filled or emptied (three.js only picks that up on a new program).
+ */
+function useSurfaceMaterial(maps, placement, { finish, displacement = false } = {}) {
+  const set = useMaterialMaps(maps);
+  const { groutColor, ...rest } = placement;
+  const map = useSurfaceMap(set.color, { ...rest, groutColor });
+  const normalMap = useSurfaceMap(set.normal, { ...rest, groutColor: FLAT_NORMAL_COLOR, linear: true });
+  const roughnessMap = useSurfaceMap(set.roughness, { ...rest, groutColor: GROUT_ROUGHNESS_COLOR, linear: true });
+  const aoMap = useSurfaceMap(set.ao, { ...rest, groutColor: "#ffffff", linear: true });
+  const displacementMap = useSurfaceMap(displacement ? set.displacement : null, { ...rest, groutColor: "#000000", linear: true });
+
+  const normalScale = useMemo(() => new THREE.Vector2(finish.normalScale, finish.normalScale), [finish.normalScale]);
+  const materialProps = {
+    map,
+    normalMap,
+    normalScale,
+    roughnessMap,
+    aoMap,
+    displacementMap: finish.displacementScale > 0 ? displacementMap : null,
+    displacementScale: finish.displacementScale,
+    roughness: finish.roughness,
+    metalness: finish.metalness,
+  };
+  const materialKey = ["map", "normalMap", "roughnessMap", "aoMap", "displacementMap"]
+    .map((k) => (materialProps[k] ? 1 : 0))
+    .join("");
+  return { materialProps, materialKey };
+}
 
-  const tileW = sizeX / repeatX;
-  const tileH = sizeY / repeatY;
+/* Floor component (repeating texture, clipped to the room outline) */
+function Floor({
+  tileTexture,
+  maps,
+  finish,
+  outline,
+  repeatX = 8,
+  repeatY = 8,
+  sizeX = 10,
+  sizeY = 10,
+  roughness = 0.7,
+  metalness = 0.05,
+  pattern = "straight",
+  groutMm = 3,
+  groutColor = "#cccccc",
+  tileSize,
+  gridOrigin,
+  showGrout = true,
+}) {
+  const points = useMemo(
+    () => (outline && outline.length >= 3 ? outline : rectOutline(sizeX, sizeY)),
+    [outline, sizeX, sizeY]
+  );
+  const b = useMemo(() => polygonBounds(points), [points]);
+
+  // Tile size and grid origin (layout start); without them tiles are stretched to fit the room
+  const tileX = tileSize ? tileSize[0] : b.width / Math.max(1, Math.round(repeatX));
+  const tileZ = tileSize ? tileSize[1] : b.depth / Math.max(1, Math.round(repeatY));
+  const [originX, originZ] = gridOrigin || [b.minX, b.minZ];
+  // UV u runs from minX, v runs from maxZ (see the geometry below)
+  const startM = [originX - b.minX, b.maxZ - originZ];
+
+  // Per-surface copies of the material set; non-grid layouts bake tiles + grout into each map
+  const { materialProps, materialKey } = useSurfaceMaterial(
+    maps || { color: tileTexture },
+    { pattern, tile: [tileX, tileZ], groutMm, groutColor, size: [b.width, b.depth], start: startM },
+    { finish: finish || { ...TILE_FINISHES.Matte, roughness, metalness } }
+  );
+  // Straight layouts draw their joints in the shader (local y is world -z)
+  const grout = useGroutShader({
+    enabled: showGrout && (!pattern || pattern === "straight"),
+    tileSize: [tileX, tileZ],
+    origin: [originX, -originZ],
+    widthM: groutWidthMeters(groutMm),
+    color: groutColor,
+  });
 
-  // Vertical lines
-  for (let i = 1; i < repeatX; i++) {
-    const x = -sizeX / 2 + i * tileW;
-    lines.push(
-      <mesh key={`v-${i}`} position={[x, y, 0]}>
-        <boxGeometry args={[thicknessMeters, 0.01, sizeY]} />
-        <meshStandardMaterial color={color} metalness={0.02} roughness={0.9} />
-      </mesh>
-    );
-  }
+  const geometry = useMemo(() => {
+    // Shape lives in the mesh's local XY plane; the -90° X rotation maps local y to world -z
+    const shape = new THREE.Shape(points.map(([x, z]) => new THREE.Vector2(x, -z)));
+    const geo = new THREE.ShapeGeometry(shape);
+
+    // Map UVs to the outline's bounding box so texture.repeat stays "tiles across the room"
+    const pos = geo.attributes.position;
+    const uv = geo.attributes.uv;
+    for (let i = 0; i < pos.count; i++) {
+      const x = pos.getX(i);
+      const z = -pos.getY(i);
+      uv.setXY(i, b.width ? (x - b.minX) / b.width : 0, b.depth ? 1 - (z - b.minZ) / b.depth : 0);
+    }
+    uv.needsUpdate = true;
+    return geo;
+  }, [points, b]);
 
-  // Horizontal lines
-  for (let j = 1; j < repeatY; j++) {
-    const z = -sizeY / 2 + j * tileH;
-    lines.push(
-      <mesh key={`h-${j}`} position={[0, y, z]}>
-        <boxGeometry args={[sizeX, 0.01, thicknessMeters]} />
-        <meshStandardMaterial color={color} metalness={0.02} roughness={0.9} />
-      </mesh>
-    );
-  }
+  useEffect(() => () => geometry.dispose(), [geometry]);
 
-  return <group>{lines}</group>;
+  return (
+    <mesh rotation-x={-Math.PI / 2} receiveShadow geometry={geometry}>
+      <meshStandardMaterial key={materialKey} {...materialProps} {...grout} />
+    </mesh>
+  );
 }
 
 /* Soft lighting rig for Tiles‑R‑Us showroom */
@@ -83,6 +2495,8 @@ const TilesRUsSoftLightRig = React.memo(function TilesRUsSoftLightRig({
 /* TilePreview - close-up tile viewer */
 function TilePreview({
   textureUrl,
+  maps,
+  finish,
   roughness = 0.6,
   metalness = 0.05,
   showTiled = false,
@@ -93,26 +2507,37 @@ function TilePreview({
   lightStrength = 1,
   lightColor = "#ffffff",
   lightSoftness = 0.7,
+  pattern = "straight",
+  tileAspect = 1,
+  tileWidthM = 0.3,
 }) {
-  const texture = useLoader(THREE.TextureLoader, textureUrl);
-
-  useEffect(() => {
-    if (!texture) return;
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    if (showTiled) {
-      texture.repeat.set(previewRepeat, previewRepeat);
-    } else {
-      texture.repeat.set(1, 1);
-    }
-    if (texture.anisotropy !== undefined) texture.anisotropy = 16;
-    texture.encoding = THREE.sRGBEncoding;
-    texture.needsUpdate = true;
-  }, [texture, showTiled, previewRepeat]);
-
-  const groutMeters = Math.max(0, Number(groutMm) / 1000);
-  const tileSizeNormalized = 1 / Math.max(1, previewRepeat);
-  const normalizedThickness = Math.min(0.12, Math.max(0.001, (groutMeters / tileSizeNormalized) * 0.02));
+  const previewTile = 1 / Math.max(1, previewRepeat);
+  const activePattern = showTiled ? pattern : "straight";
+  const baseFinish = finish || { ...TILE_FINISHES.Matte, roughness, metalness };
+  // Displacement is in meters; the 1-unit plane spans one tile, or `previewRepeat` tiles when tiled
+  const unitsPerMeter = 1 / (Math.max(0.01, tileWidthM) * (showTiled ? Math.max(1, previewRepeat) : 1));
+  const { materialProps, materialKey } = useSurfaceMaterial(
+    maps || { color: textureUrl },
+    {
+      pattern: activePattern,
+      tile: [previewTile, previewTile * tileAspect],
+      straightTile: showTiled ? [previewTile, previewTile] : [1, 1],
+      groutMm,
+      groutColor,
+      size: [1, 1],
+    },
+    { finish: { ...baseFinish, displacementScale: baseFinish.displacementScale * unitsPerMeter } }
+  );
+  const segments = materialProps.displacementMap ? 160 : 1;
+
+  // The preview plane is 1 unit wide and shows `previewRepeat` tiles, so joints scale with the real tile width
+  const grout = useGroutShader({
+    enabled: showTiled && activePattern === "straight",
+    tileSize: [previewTile, previewTile],
+    origin: [-0.5, -0.5],
+    widthM: Math.min(previewTile * 0.2, (groutWidthMeters(groutMm) / Math.max(0.01, tileWidthM)) * previewTile),
+    color: groutColor,
+  });
 
   return (
     <Canvas shadows camera={{ position: [0, 0.7, 1.5], fov: 35 }}>
@@ -126,119 +2551,30 @@ function TilePreview({
 
       <OrbitControls enablePan enableZoom enableRotate />
       <mesh position={[0, 0, 0]}>
-        <planeGeometry args={[1, 1]} />
-        <meshStandardMaterial map={texture} roughness={roughness} metalness={metalness} />
+        <planeGeometry args={[1, 1, segments, segments]} />
+        <meshStandardMaterial key={materialKey} {...materialProps} {...grout} />
       </mesh>
-
-      {showTiled && (() => {
-        const items = [];
-        for (let i = 1; i < previewRepeat; i++) {
-          const x = -0.5 + i * (1 / previewRepeat);
-          items.push(
-            <mesh key={`pv-${i}`} position={[x, 0.001, 0]}>
-              <boxGeometry args={[normalizedThickness, 0.002, 1]} />
-              <meshStandardMaterial color={groutColor} roughness={1} metalness={0} />
-            </mesh>
-          );
-        }
-        for (let j = 1; j < previewRepeat; j++) {
-          const z = -0.5 + j * (1 / previewRepeat);
-          items.push(
-            <mesh key={`ph-${j}`} position={[0, 0.001, z]}>
-              <boxGeometry args={[1, 0.002, normalizedThickness]} />
-              <meshStandardMaterial color={groutColor} roughness={1} metalness={0} />
-            </mesh>
-          );
-        }
-        return <group>{items}</group>;
-      })()}
     </Canvas>
   );
 }
 
-/* Skirting */
-function Skirting({ roomWm = 10, roomLm = 10, height = 0.12, thickness = 0.05, color = "#e6e6e6" }) {
-  const halfW = roomWm / 2;
-  const halfL = roomLm / 2;
+/* Skirting (one board per wall of the outline) */
+function Skirting({ roomWm = 10, roomLm = 10, outline, height = 0.12, thickness = 0.05, color = "#e6e6e6" }) {
+  const points = outline && outline.length >= 3 ? outline : rectOutline(roomWm, roomLm);
   const y = height / 2;
   return (
     <group>
-      <mesh position={[0, y, -halfL + thickness / 2]} castShadow>
-        <boxGeometry args={[roomWm, height, thickness]} />
-        <meshStandardMaterial color={color} metalness={0.05} roughness={0.8} />
-      </mesh>
-      <mesh position={[0, y, halfL - thickness / 2]} castShadow>
-        <boxGeometry args={[roomWm, height, thickness]} />
-        <meshStandardMaterial color={color} metalness={0.05} roughness={0.8} />
-      </mesh>
-      <mesh position={[-halfW + thickness / 2, y, 0]} castShadow>
-        <boxGeometry args={[thickness, height, roomLm]} />
-        <meshStandardMaterial color={color} metalness={0.05} roughness={0.8} />
-      </mesh>
-      <mesh position={[halfW - thickness / 2, y, 0]} castShadow>
-        <boxGeometry args={[thickness, height, roomLm]} />
-        <meshStandardMaterial color={color} metalness={0.05} roughness={0.8} />
-      </mesh>
-    </group>
-  );
-}
-
-/* Wall grout lines (tied to grout controls) */
-function WallGroutLines({
-  wallWidth,
-  wallHeight = 3,
-  tileWidthM,
-  tileHeightM,
-  groutMm = 3,
-  color = "#cccccc",
-  wallPosition = [0, 0, 0],
-  wallRotationY = 0,
-  zOffset = 0.001,
-}) {
-  const minTile = 0.05; // prevent extreme counts
-  const tW = Math.max(minTile, tileWidthM || 0.3);
-  const tH = Math.max(minTile, tileHeightM || 0.3);
-
-  const numTilesX = Math.max(1, Math.floor(wallWidth / tW));
-  const numTilesY = Math.max(1, Math.floor(wallHeight / tH));
-
-  if (numTilesX * numTilesY > 900) return null;
-
-  const groutThickness = Math.max(0.0005, Math.min(0.03, groutMm / 1000));
-
-  const tileW = wallWidth / numTilesX;
-  const tileH = wallHeight / numTilesY;
-
-  const correctedWallWidth = Math.max(0, wallWidth - groutThickness * 2);
-  const correctedWallHeight = Math.max(0, wallHeight - groutThickness * 2);
-
-  const lines = [];
-
-  // Vertical wall grout lines
-  for (let i = 1; i < numTilesX; i++) {
-    const xLocal = -wallWidth / 2 + i * tileW;
-    lines.push(
-      <mesh key={`wv-${i}`} position={[xLocal, 0, zOffset]}>
-        <boxGeometry args={[groutThickness, correctedWallHeight, 0.002]} />
-        <meshStandardMaterial color={color} roughness={0.9} metalness={0.02} />
-      </mesh>
-    );
-  }
-
-  // Horizontal wall grout lines
-  for (let j = 1; j < numTilesY; j++) {
-    const yLocal = -wallHeight / 2 + j * tileH;
-    lines.push(
-      <mesh key={`wh-${j}`} position={[0, yLocal, zOffset]}>
-        <boxGeometry args={[correctedWallWidth, groutThickness, 0.002]} />
-        <meshStandardMaterial color={color} roughness={0.9} metalness={0.02} />
-      </mesh>
-    );
-  }
-
-  return (
-    <group position={wallPosition} rotation-y={wallRotationY}>
-      {lines}
+      {wallSegmentsFromOutline(points).map((w, i) => (
+        <mesh
+          key={`sk-${i}`}
+          position={[w.mid[0] + (w.normal[0] * thickness) / 2, y, w.mid[1] + (w.normal[1] * thickness) / 2]}
+          rotation-y={w.rotationY}
+          castShadow
+        >
+          <boxGeometry args={[w.length, height, thickness]} />
+          <meshStandardMaterial color={color} metalness={0.05} roughness={0.8} />
+        </mesh>
+      ))}
     </group>
   );
 }
@@ -250,38 +2586,131 @@ function WallPlane({
   position = [0, 0, 0],
   rotationY = 0,
   textureUrl,
+  maps,
+  finish,
   useTexture = true,
   fallbackColor = "#ffffff",
   roughness = 0.6,
   metalness = 0.05,
   envIntensity = 0,
   receiveShadow = true,
+  holes = [],
+  pattern = "straight",
+  tileWidthM = 0.3,
+  tileHeightM = 0.3,
+  groutMm = 3,
+  groutColor = "#cccccc",
+  showGrout = false,
 }) {
-  const tex = useLoader(THREE.TextureLoader, textureUrl);
+  // Straight layouts stretch one copy of each map over the panel; patterns repeat per tile
+  const { materialProps, materialKey } = useSurfaceMaterial(
+    maps || { color: textureUrl },
+    { pattern, tile: [tileWidthM, tileHeightM], straightTile: [width, height], groutMm, groutColor, size: [width, height] },
+    { finish: finish || { ...TILE_FINISHES.Matte, roughness, metalness } }
+  );
+  const straight = !pattern || pattern === "straight";
+
+  // Whole tiles stretched to fill the panel, counted from its bottom-left corner; holes clip joints for free
+  const numTilesX = Math.max(1, Math.floor(width / Math.max(0.05, tileWidthM || 0.3)));
+  const numTilesY = Math.max(1, Math.floor(height / Math.max(0.05, tileHeightM || 0.3)));
+  const grout = useGroutShader({
+    enabled: showGrout && useTexture && straight,
+    tileSize: [width / numTilesX, height / numTilesY],
+    origin: [-width / 2, -height / 2],
+    widthM: groutWidthMeters(groutMm),
+    color: groutColor,
+  });
 
-  useEffect(() => {
-    if (!tex) return;
-    tex.wrapS = THREE.ClampToEdgeWrapping;
-    tex.wrapT = THREE.ClampToEdgeWrapping;
-    if (tex.anisotropy !== undefined) tex.anisotropy = 16;
-    tex.encoding = THREE.sRGBEncoding;
-    tex.needsUpdate = true;
-  }, [tex]);
+  const holesKey = JSON.stringify(holes);
+  const geometry = useMemo(
+    () => buildWallGeometry(width, height, holes),
+    [width, height, holesKey]
+  );
+  useEffect(() => () => geometry.dispose(), [geometry]);
 
   return (
-    <mesh position={position} rotation={[0, rotationY, 0]} receiveShadow={receiveShadow}>
-      <planeGeometry args={[width, height]} />
-      <meshStandardMaterial
-        map={useTexture ? tex : undefined}
-        color={useTexture ? undefined : fallbackColor}
-        roughness={roughness}
-        metalness={metalness}
-        envMapIntensity={envIntensity}
-      />
+    <mesh position={position} rotation={[0, rotationY, 0]} receiveShadow={receiveShadow} geometry={geometry}>
+      {useTexture ? (
+        <meshStandardMaterial key={materialKey} {...materialProps} envMapIntensity={envIntensity} {...grout} />
+      ) : (
+        <meshStandardMaterial color={fallbackColor} roughness={roughness} metalness={metalness} envMapIntensity={envIntensity} />
+      )}
     </mesh>
   );
 }
 
+/* WallStrip - one decorative strip along a wall, split around openings */
+function WallStrip({ wall, rects, bottom, height, depth, color, metalness = 0 }) {
+  const runs = stripRuns(wall.length, rects, bottom, bottom + height);
+  return (
+    <group position={[wall.mid[0], 0, wall.mid[1]]} rotation-y={wall.rotationY}>
+      {runs.map(([a, b], k) => (
+        <mesh key={k} position={[(a + b) / 2 - wall.length / 2, bottom + height / 2, depth / 2]} castShadow>
+          <boxGeometry args={[b - a, height, depth]} />
+          <meshStandardMaterial color={color} roughness={0.35} metalness={metalness} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+/* OpeningFixture - frame, glass, niche recess and door threshold for one wall opening */
+function OpeningFixture({ type, rect, wall, depth = 0.1, frameColor = "#f4f4f4", nicheColor = "#e8e8e8" }) {
+  const w = rect.x1 - rect.x0;
+  const h = rect.y1 - rect.y0;
+  if (w <= 0 || h <= 0) return null;
+  const cx = rect.x0 + w / 2 - wall.length / 2;
+  const cy = rect.y0 + h / 2;
+  const frame = 0.05;
+
+  return (
+    <group position={[wall.mid[0], 0, wall.mid[1]]} rotation-y={wall.rotationY}>
+      {type === "niche" ? (
+        // Inside-out box: only the faces looking into the recess are drawn
+        <mesh position={[cx, cy, -depth / 2]}>
+          <boxGeometry args={[w, h, depth]} />
+          <meshStandardMaterial color={nicheColor} roughness={0.7} metalness={0.02} side={THREE.BackSide} />
+        </mesh>
+      ) : (
+        <>
+          {/* Frame: jambs + head (+ sill for windows) */}
+          <mesh position={[cx - w / 2 - frame / 2, cy, 0.01]}>
+            <boxGeometry args={[frame, h, 0.04]} />
+            <meshStandardMaterial color={frameColor} roughness={0.6} />
+          </mesh>
+          <mesh position={[cx + w / 2 + frame / 2, cy, 0.01]}>
+            <boxGeometry args={[frame, h, 0.04]} />
+            <meshStandardMaterial color={frameColor} roughness={0.6} />
+          </mesh>
+          <mesh position={[cx, rect.y1 + frame / 2, 0.01]}>
+            <boxGeometry args={[w + frame * 2, frame, 0.04]} />
+            <meshStandardMaterial color={frameColor} roughness={0.6} />
+          </mesh>
+          {type === "window" && (
+            <>
+              <mesh position={[cx, rect.y0 - frame / 2, 0.02]}>
+                <boxGeometry args={[w + frame * 2, frame, 0.08]} />
+                <meshStandardMaterial color={frameColor} roughness={0.6} />
+              </mesh>
+              <mesh position={[cx, cy, -0.03]}>
+                <planeGeometry args={[w, h]} />
+                <meshStandardMaterial color="#bfe3ff" transparent opacity={0.25} roughness={0.05} metalness={0.1} side={THREE.DoubleSide} />
+              </mesh>
+            </>
+          )}
+          {type === "door" && (
+            // Threshold strip on the floor, straddling the wall line
+            <mesh position={[cx, 0.006, 0]} receiveShadow>
+              <boxGeometry args={[w, 0.012, 0.14]} />
+              <meshStandardMaterial color="#b08d57" roughness={0.5} metalness={0.3} />
+            </mesh>
+          )}
+        </>
+      )}
+    </group>
+  );
+}
+
 /* Draggable overlay panel */
 /* Draggable overlay panel (collapsible + draggable) */
 function DraggablePanel({ containerRef, title = "Showroom Controls", children, defaultCollapsed = false }) {
@@ -328,31 +2757,1106 @@ function DraggablePanel({ containerRef, title = "Showroom Controls", children, d
     };
   }, [dragging, offset, containerRef]);
 
-  return (
-    <div ref={panelRef} className="absolute z-10" style={{ left: pos.x, top: pos.y }}>
-      <div className="bg-white/90 backdrop-blur-sm text-black rounded-md shadow-lg w-72 max-h-[70vh] overflow-hidden">
-        {/* Header */}
-        <div
-          className={`cursor-${dragging ? "grabbing" : "grab"} flex items-center justify-between px-3 py-2 border-b bg-white/70 sticky top-0`}
-          onPointerDown={onPointerDown}
-        >
-          <span className="text-sm font-semibold">{title}</span>
-          <div className="flex items-center gap-2">
-            <button
-              onClick={(e) => {
-                e.stopPropagation();
-                setCollapsed((c) => !c);
-              }}
-              className="w-6 h-6 flex items-center justify-center rounded-full bg-gray-200 hover:bg-gray-300 text-black font-bold"
-              title={collapsed ? "Expand panel" : "Collapse panel"}
-            >
-              {collapsed ? "+" : "–"}
+  return (
+    <div ref={panelRef} className="absolute z-10" style={{ left: pos.x, top: pos.y }}>
+      <div className="bg-white/90 backdrop-blur-sm text-black rounded-md shadow-lg w-72 max-h-[70vh] overflow-hidden">
+        {/* Header */}
+        <div
+          className={`cursor-${dragging ? "grabbing" : "grab"} flex items-center justify-between px-3 py-2 border-b bg-white/70 sticky top-0`}
+          onPointerDown={onPointerDown}
+        >
+          <span className="text-sm font-semibold">{title}</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setCollapsed((c) => !c);
+              }}
+              className="w-6 h-6 flex items-center justify-center rounded-full bg-gray-200 hover:bg-gray-300 text-black font-bold"
+              title={collapsed ? "Expand panel" : "Collapse panel"}
+            >
+              {collapsed ? "+" : "–"}
+            </button>
+          </div>
+        </div>
+        {/* Content */}
+        {!collapsed && <div className="p-3 overflow-auto max-h-[60vh]">{children}</div>}
+      </div>
+    </div>
+  );
+}
+
+/* CatalogOptions - <option>s for one surface, grouped by collection */
+function CatalogOptions({ surface, catalog = TILE_CATALOG }) {
+  const products = catalogProductsFor(surface, catalog);
+  const collections = [...new Set(products.map((p) => p.collection))];
+  return collections.map((c) => (
+    <optgroup key={c} label={c}>
+      {products
+        .filter((p) => p.collection === c)
+        .map((p) => (
+          <option key={p.sku} value={p.sku}>
+            {p.name} — {p.nominalSize}, {p.finish}
+          </option>
+        ))}
+    </optgroup>
+  ));
+}
+
+/* ColourwayDesigner - builds a procedural face as a new colourway of the selected product */
+function ColourwayDesigner({ baseProduct, onCreate }) {
+  const [type, setType] = useState("terrazzo");
+  const [colors, setColors] = useState(PROCEDURAL_TYPES.terrazzo.colors);
+  const [seed, setSeed] = useState(1);
+  const [label, setLabel] = useState("");
+  const spec = { type, colors, seed };
+
+  return (
+    <div className="mt-2 text-xs">
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setColors(PROCEDURAL_TYPES[e.target.value].colors);
+          }}
+          className="p-1 border rounded"
+        >
+          {Object.entries(PROCEDURAL_TYPES).map(([key, t]) => (
+            <option key={key} value={key}>{t.label}</option>
+          ))}
+        </select>
+        <button type="button" onClick={() => setSeed((s) => s + 1)} className="px-2 py-1 border rounded bg-white hover:bg-gray-50">
+          Shuffle
+        </button>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        {colors.map((c, i) => (
+          <input
+            key={i}
+            type="color"
+            value={c}
+            title={["Base", "Accent", "Second accent"][i]}
+            onChange={(e) => setColors((prev) => prev.map((p, k) => (k === i ? e.target.value : p)))}
+          />
+        ))}
+        <img src={proceduralTextureUrl(spec, 96)} alt="Colourway preview" className="w-12 h-12 rounded border ml-auto" />
+      </div>
+      <input
+        type="text"
+        placeholder={`Name (default: ${baseProduct.name} ${PROCEDURAL_TYPES[type].label})`}
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        className="w-full p-1 border rounded mt-2"
+      />
+      <button
+        type="button"
+        onClick={() => {
+          onCreate(spec, label.trim());
+          setLabel("");
+        }}
+        className="w-full mt-2 bg-purple-600 text-white px-2 py-1 rounded hover:bg-purple-700"
+      >
+        Add as {baseProduct.nominalSize} colourway
+      </button>
+    </div>
+  );
+}
+
+/*
+ * ModelImporter - drop (or pick) a GLB/GLTF, check it, and set its name, category and real size.
+ * The size starts from a unit guess and stays proportional: editing one side rescales the model.
+ */
+function ModelImporter({ categories = [], onSave }) {
+  const [file, setFile] = useState(null);
+  const [info, setInfo] = useState(null); // { rawSize, meshes, suggestedScale }
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [over, setOver] = useState(false);
+  const [label, setLabel] = useState("");
+  const [category, setCategory] = useState(categories[0] || "Misc");
+  const [newCategory, setNewCategory] = useState("");
+  const [scale, setScale] = useState(1);
+  const [fixed, setFixed] = useState(false);
+
+  const pick = async (f) => {
+    if (!f) return;
+    setError("");
+    setInfo(null);
+    setFile(f);
+    setBusy(true);
+    try {
+      const inspected = await inspectModelFile(f);
+      setInfo(inspected);
+      setScale(inspected.suggestedScale);
+      setLabel(f.name.replace(/\.(glb|gltf)$/i, "").replace(/[_-]+/g, " "));
+    } catch (err) {
+      setError(err.message);
+      setFile(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const size = info && { x: info.rawSize.x * scale, y: info.rawSize.y * scale, z: info.rawSize.z * scale };
+  const setSide = (axis, value) => {
+    const m = parseFloat(value);
+    if (m > 0) setScale(m / info.rawSize[axis]);
+  };
+
+  const save = async () => {
+    const cat = category === "__new" ? newCategory.trim() : category;
+    if (!label.trim() || !cat) {
+      alert("Enter a name and category for the model.");
+      return;
+    }
+    setBusy(true);
+    const ok = await onSave({ file, label: label.trim(), category: cat, modelScale: scale, size, fixed });
+    setBusy(false);
+    if (ok) {
+      setFile(null);
+      setInfo(null);
+    }
+  };
+
+  return (
+    <div>
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setOver(true);
+        }}
+        onDragLeave={() => setOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setOver(false);
+          pick(e.dataTransfer.files?.[0]);
+        }}
+        className={`block border-2 border-dashed rounded p-2 text-center cursor-pointer ${over ? "border-purple-500 bg-purple-50" : "border-gray-300"}`}
+      >
+        {busy ? "Checking model…" : file ? file.name : "Drop a .glb here or click to choose"}
+        <input
+          type="file"
+          accept=".glb,.gltf,model/gltf-binary,model/gltf+json"
+          className="hidden"
+          onChange={(e) => {
+            pick(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+      {error && <div className="text-red-700 mt-1">{error}</div>}
+      {info && (
+        <div className="mt-2 space-y-2">
+          <input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="Name" className="w-full p-1 border rounded" />
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className="w-full p-1 border rounded">
+            {categories.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+            <option value="__new">New category…</option>
+          </select>
+          {category === "__new" && (
+            <input value={newCategory} onChange={(e) => setNewCategory(e.target.value)} placeholder="Category" className="w-full p-1 border rounded" />
+          )}
+          <div className="grid grid-cols-3 gap-2">
+            {[["x", "Width"], ["z", "Depth"], ["y", "Height"]].map(([axis, name]) => (
+              <div key={axis}>
+                <div className="text-[11px]">{name} (m)</div>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  value={roundTo(size[axis], 3)}
+                  onChange={(e) => setSide(axis, e.target.value)}
+                  className="w-full p-1 border rounded"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="text-gray-600">
+            {info.meshes} mesh(es) • file units × {roundTo(scale, 4)}
+          </div>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={fixed} onChange={(e) => setFixed(e.target.checked)} />
+            Fixed item (no tiles underneath)
+          </label>
+          <button
+            type="button"
+            onClick={save}
+            disabled={busy}
+            className="w-full bg-purple-600 text-white py-1 rounded hover:bg-purple-700 disabled:opacity-50"
+          >
+            Add to catalog
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/*
+ * TilePhotoImporter - upload or capture a photo, crop one tile (aspect locked to its real size),
+ * optionally make it seamless, and hand back a catalog-shaped product with the face as a data URL.
+ */
+function TilePhotoImporter({ onSave }) {
+  const [image, setImage] = useState(null); // HTMLImageElement
+  const [crop, setCrop] = useState({ x: 0.1, y: 0.1, w: 0.5 }); // fractions of the image; height follows the tile aspect
+  const [lengthMm, setLengthMm] = useState("600");
+  const [widthMm, setWidthMm] = useState("600");
+  const [thicknessMm, setThicknessMm] = useState("10");
+  const [finish, setFinish] = useState("Matte");
+  const [price, setPrice] = useState("");
+  const [name, setName] = useState("");
+  const [seamless, setSeamless] = useState(true);
+  const boxRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const L = parseFloat(lengthMm) || 0;
+  const W = parseFloat(widthMm) || 0;
+  // Crop height in image fractions for the chosen width, so the crop has the tile's proportions
+  const cropH = image && W ? (crop.w * image.naturalWidth * (L / W)) / image.naturalHeight : crop.w;
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const img = new Image();
+      img.onload = () => {
+        setImage(img);
+        setCrop({ x: 0.1, y: 0.1, w: 0.5 });
+      };
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+    e.target.value = "";
+  };
+
+  // Drag the crop (mode "move") or its corner handle (mode "size")
+  const startDrag = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragRef.current = { mode, startX: e.clientX, startY: e.clientY, crop };
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  };
+  const onPointerMove = (e) => {
+    const d = dragRef.current;
+    const box = boxRef.current?.getBoundingClientRect();
+    if (!d || !box) return;
+    const dx = (e.clientX - d.startX) / box.width;
+    const dy = (e.clientY - d.startY) / box.height;
+    if (d.mode === "move") {
+      setCrop({ ...d.crop, x: Math.min(Math.max(0, d.crop.x + dx), 1 - d.crop.w), y: Math.min(Math.max(0, d.crop.y + dy), Math.max(0, 1 - cropH)) });
+    } else {
+      setCrop({ ...d.crop, w: Math.min(Math.max(0.05, d.crop.w + dx), 1 - d.crop.x) });
+    }
+  };
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const save = () => {
+    if (!image || !L || !W) {
+      alert("Choose a photo and enter the tile's length and width.");
+      return;
+    }
+    if (crop.y + cropH > 1.001) {
+      alert("The crop runs past the bottom of the photo. Make it smaller or move it up.");
+      return;
+    }
+    const sx = crop.x * image.naturalWidth;
+    const sy = crop.y * image.naturalHeight;
+    const sw = crop.w * image.naturalWidth;
+    const sh = cropH * image.naturalHeight;
+    const scale = Math.min(1, CUSTOMER_PHOTO_MAX_PX / Math.max(sw, sh));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(8, Math.round(sw * scale));
+    canvas.height = Math.max(8, Math.round(sh * scale));
+    canvas.getContext("2d").drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    if (seamless) makeSeamless(canvas);
+
+    const pricePerTile = Math.max(0, parseFloat(price) || 0);
+    const product = catalogItem({
+      sku: `CUST-${Date.now().toString(36).toUpperCase()}`,
+      name: name.trim() || "Customer sample",
+      collection: "Customer samples",
+      lengthMm: L,
+      widthMm: W,
+      thicknessMm: parseFloat(thicknessMm) || 10,
+      finish,
+      pricePerTile,
+      pricePerM2: roundTo(pricePerTile / ((L / 1000) * (W / 1000)), 2),
+      piecesPerBox: 1,
+      surfaces: ["floor", "wall"],
+      maps: { color: canvas.toDataURL("image/jpeg", 0.85) },
+    });
+    if (onSave(product)) {
+      setImage(null);
+      setName("");
+      setPrice("");
+    }
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="bg-purple-600 text-white px-3 py-1 rounded hover:bg-purple-700 cursor-pointer">
+          Upload photo
+          <input type="file" accept="image/*" onChange={onFile} className="hidden" />
+        </label>
+        <label className="bg-white border px-3 py-1 rounded hover:bg-gray-50 cursor-pointer">
+          Take photo
+          <input type="file" accept="image/*" capture="environment" onChange={onFile} className="hidden" />
+        </label>
+      </div>
+
+      {image && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+          <div>
+            <div
+              ref={boxRef}
+              className="relative select-none touch-none"
+              onPointerMove={onPointerMove}
+              onPointerUp={endDrag}
+              onPointerLeave={endDrag}
+            >
+              <img src={image.src} alt="Tile sample" className="w-full rounded" draggable={false} />
+              <div
+                onPointerDown={startDrag("move")}
+                className="absolute border-2 border-purple-500 bg-purple-500/10 cursor-move"
+                style={{ left: `${crop.x * 100}%`, top: `${crop.y * 100}%`, width: `${crop.w * 100}%`, height: `${cropH * 100}%` }}
+              >
+                <div
+                  onPointerDown={startDrag("size")}
+                  className="absolute -right-2 -bottom-2 w-4 h-4 bg-purple-600 rounded-full cursor-nwse-resize"
+                />
+              </div>
+            </div>
+            <div className="text-xs text-gray-600 mt-1">Drag the frame over one tile; drag the corner to resize.</div>
+          </div>
+          <div className="grid grid-cols-2 gap-2 content-start">
+            <input type="text" placeholder="Name (e.g. customer sample)" value={name} onChange={(e) => setName(e.target.value)} className="col-span-2 p-2 border rounded" />
+            <input type="number" placeholder="Length (mm)" value={lengthMm} onChange={(e) => setLengthMm(e.target.value)} className="p-2 border rounded" />
+            <input type="number" placeholder="Width (mm)" value={widthMm} onChange={(e) => setWidthMm(e.target.value)} className="p-2 border rounded" />
+            <input type="number" placeholder="Thickness (mm)" value={thicknessMm} onChange={(e) => setThicknessMm(e.target.value)} className="p-2 border rounded" />
+            <select value={finish} onChange={(e) => setFinish(e.target.value)} className="p-2 border rounded">
+              {Object.keys(TILE_FINISHES).map((f) => <option key={f} value={f}>{f}</option>)}
+            </select>
+            <input type="number" placeholder="Price per tile (optional)" value={price} onChange={(e) => setPrice(e.target.value)} className="col-span-2 p-2 border rounded" />
+            <label className="col-span-2 flex items-center gap-2 text-xs">
+              <input type="checkbox" checked={seamless} onChange={(e) => setSeamless(e.target.checked)} />
+              Make seamless (blend the edges so repeats don't show a seam)
+            </label>
+            <button type="button" onClick={save} className="col-span-2 bg-purple-600 text-white py-2 rounded hover:bg-purple-700">
+              Save sample
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/*
+ * PhotoVisualiser - lays the selected tile over a photo of the customer's room: drag the four
+ * corners onto the floor (or a wall), drag the reference line along something of known length,
+ * and paint over furniture to keep it in front of the new tiles.
+ */
+function PhotoVisualiser({ floor, wall, groutMm, groutColor }) {
+  const [photo, setPhoto] = useState(null); // { canvas, url } at working size
+  const [surface, setSurface] = useState("floor");
+  const [quad, setQuad] = useState([]); // corners 1–4 in photo pixels; 1→2 is across, 1→4 is away
+  const [refLine, setRefLine] = useState([]); // two points in photo pixels
+  const [refLength, setRefLength] = useState("1");
+  const [refUnit, setRefUnit] = useState("m");
+  const [tool, setTool] = useState("corners"); // corners | mask | erase
+  const [brush, setBrush] = useState(40);
+  const [blend, setBlend] = useState(0.8);
+  const [laid, setLaid] = useState(false);
+  const [result, setResult] = useState(null); // data URL
+  const [showBefore, setShowBefore] = useState(false);
+  const [showMarks, setShowMarks] = useState(true);
+  const [maskVersion, setMaskVersion] = useState(0);
+  const svgRef = useRef(null);
+  const maskRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const tile = surface === "wall" ? wall : floor;
+  const w = photo?.canvas.width || 1;
+  const h = photo?.canvas.height || 1;
+  const lengthM = (parseFloat(refLength) || 0) * (UNIT_TO_METERS[refUnit] || 1);
+  const size = photo && quad.length === 4 && refLine.length === 2 ? photoPlaneSize(quad, w, h, refLine, lengthM) : null;
+
+  // Starting marks: a band across the bottom of the photo for floors, the middle for walls
+  const resetMarks = (which, pw, ph) => {
+    const q =
+      which === "wall"
+        ? [[0.25, 0.15], [0.75, 0.15], [0.75, 0.6], [0.25, 0.6]]
+        : [[0.2, 0.55], [0.8, 0.55], [0.95, 0.95], [0.05, 0.95]];
+    setQuad(q.map(([x, y]) => [x * pw, y * ph]));
+    setRefLine(which === "wall" ? [[0.3 * pw, 0.55 * ph], [0.7 * pw, 0.55 * ph]] : [[0.3 * pw, 0.9 * ph], [0.7 * pw, 0.9 * ph]]);
+  };
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, PHOTO_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(img.naturalWidth * scale);
+        canvas.height = Math.round(img.naturalHeight * scale);
+        canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+        setPhoto({ canvas, url: canvas.toDataURL("image/jpeg", 0.92) });
+        // A photo of the same size keeps the mask canvas, so wipe the last photo's furniture mask
+        maskRef.current?.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+        setMaskVersion((v) => v + 1);
+        resetMarks(surface, canvas.width, canvas.height);
+        setResult(null);
+        setLaid(false);
+        setTool("corners");
+      };
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+    e.target.value = "";
+  };
+
+  const changeSurface = (which) => {
+    setSurface(which);
+    if (photo) resetMarks(which, w, h);
+  };
+
+  // Pointer position in photo pixels
+  const toPhoto = (e) => {
+    const r = svgRef.current.getBoundingClientRect();
+    return [Math.min(w, Math.max(0, ((e.clientX - r.left) / r.width) * w)), Math.min(h, Math.max(0, ((e.clientY - r.top) / r.height) * h))];
+  };
+
+  const paint = (a, b) => {
+    const ctx = maskRef.current.getContext("2d");
+    ctx.globalCompositeOperation = tool === "erase" ? "destination-out" : "source-over";
+    ctx.strokeStyle = "#ef4444";
+    ctx.lineWidth = brush;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(...a);
+    ctx.lineTo(...b);
+    ctx.stroke();
+  };
+
+  // Drag a corner ("quad") or reference end ("ref"); in the mask tools, paint instead
+  const startDrag = (kind, index) => (e) => {
+    if (tool !== "corners") return;
+    e.stopPropagation();
+    dragRef.current = { kind, index };
+    svgRef.current.setPointerCapture?.(e.pointerId);
+  };
+  const onPointerDown = (e) => {
+    if (tool === "corners") return;
+    const p = toPhoto(e);
+    dragRef.current = { kind: "paint", last: p };
+    svgRef.current.setPointerCapture?.(e.pointerId);
+    paint(p, p);
+  };
+  const onPointerMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const p = toPhoto(e);
+    if (d.kind === "paint") {
+      paint(d.last, p);
+      d.last = p;
+    } else {
+      const set = d.kind === "quad" ? setQuad : setRefLine;
+      set((pts) => pts.map((q, i) => (i === d.index ? p : q)));
+    }
+  };
+  const endDrag = () => {
+    if (dragRef.current?.kind === "paint") setMaskVersion((v) => v + 1);
+    dragRef.current = null;
+  };
+
+  const clearMask = () => {
+    maskRef.current?.getContext("2d").clearRect(0, 0, w, h);
+    setMaskVersion((v) => v + 1);
+  };
+
+  // Re-lay the tiles shortly after anything changes (corner drags arrive many times a second)
+  useEffect(() => {
+    if (!laid || !photo || !size) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { maps } = tile.product;
+        if (maps?.color) await probePhoto(maps.color).promise;
+        const image = await loadImage(colorMapUrl(maps));
+        if (cancelled) return;
+        const entry = getPatternTexture(image, tile.pattern, tile.product.lengthMm / 1000, tile.product.widthMm / 1000, groutMm, groutColor);
+        const out = renderTiledPhoto({
+          photo: photo.canvas,
+          quad,
+          size,
+          period: entry.texture.image,
+          periodM: entry.period,
+          mask: maskRef.current,
+          blend,
+        });
+        if (!cancelled) setResult(out.toDataURL("image/jpeg", 0.92));
+      } catch (err) {
+        if (!cancelled) alert(`Couldn't lay the tile on the photo: ${err.message}`);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [laid, photo, quad, size?.widthM, size?.depthM, tile.product.sku, tile.pattern, groutMm, groutColor, blend, maskVersion]);
+
+  const handleR = Math.max(w, h) / 90;
+  const toolButton = (key, label) => (
+    <button
+      key={key}
+      type="button"
+      onClick={() => setTool(key)}
+      className={`px-2 py-1 rounded border ${tool === key ? "bg-purple-600 text-white" : "bg-white"}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="bg-purple-600 text-white px-3 py-1 rounded hover:bg-purple-700 cursor-pointer">
+          Upload room photo
+          <input type="file" accept="image/*" onChange={onFile} className="hidden" />
+        </label>
+        <label className="bg-white border px-3 py-1 rounded hover:bg-gray-50 cursor-pointer">
+          Take photo
+          <input type="file" accept="image/*" capture="environment" onChange={onFile} className="hidden" />
+        </label>
+        <div className="flex items-center gap-3 text-xs ml-2">
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={surface === "floor"} onChange={() => changeSurface("floor")} />
+            Floor ({floor.product.name})
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={surface === "wall"} onChange={() => changeSurface("wall")} />
+            Wall ({wall.product.name})
+          </label>
+        </div>
+      </div>
+
+      {photo && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+          <div className="md:col-span-2">
+            <div className="relative select-none">
+              <img src={result && !showBefore ? result : photo.url} alt="Customer's room" className="w-full rounded" draggable={false} />
+              <canvas
+                ref={maskRef}
+                width={w}
+                height={h}
+                className={`absolute inset-0 w-full h-full pointer-events-none ${showMarks ? "opacity-40" : "opacity-0"}`}
+              />
+              <svg
+                ref={svgRef}
+                viewBox={`0 0 ${w} ${h}`}
+                className={`absolute inset-0 w-full h-full touch-none ${tool === "corners" ? "" : "cursor-crosshair"}`}
+                onPointerDown={onPointerDown}
+                onPointerMove={onPointerMove}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+              >
+                {showMarks && quad.length === 4 && (
+                  <>
+                    <polygon
+                      points={quad.map((p) => p.join(",")).join(" ")}
+                      fill={result ? "none" : "rgba(124,58,237,0.15)"}
+                      stroke="#7c3aed"
+                      strokeWidth={handleR / 3}
+                    />
+                    <line
+                      x1={refLine[0][0]}
+                      y1={refLine[0][1]}
+                      x2={refLine[1][0]}
+                      y2={refLine[1][1]}
+                      stroke="#f59e0b"
+                      strokeWidth={handleR / 2}
+                      strokeDasharray={`${handleR} ${handleR / 2}`}
+                    />
+                    {quad.map(([x, y], i) => (
+                      <g key={`q${i}`} onPointerDown={startDrag("quad", i)} className={tool === "corners" ? "cursor-move" : "pointer-events-none"}>
+                        <circle cx={x} cy={y} r={handleR} fill="#7c3aed" stroke="#fff" strokeWidth={handleR / 4} />
+                        <text x={x} y={y + handleR * 0.4} fontSize={handleR * 1.1} textAnchor="middle" fill="#fff">
+                          {i + 1}
+                        </text>
+                      </g>
+                    ))}
+                    {refLine.map(([x, y], i) => (
+                      <circle
+                        key={`r${i}`}
+                        cx={x}
+                        cy={y}
+                        r={handleR * 0.8}
+                        fill="#f59e0b"
+                        stroke="#fff"
+                        strokeWidth={handleR / 4}
+                        onPointerDown={startDrag("ref", i)}
+                        className={tool === "corners" ? "cursor-move" : "pointer-events-none"}
+                      />
+                    ))}
+                  </>
+                )}
+              </svg>
+            </div>
+            <div className="text-xs text-gray-600 mt-1">
+              Drag corners 1–4 onto the {surface === "wall" ? "wall" : "floor"} (1→2 across, 1→4 away from the camera) and the
+              orange line along something you know the length of. Paint over furniture to keep it in the picture.
+            </div>
+          </div>
+
+          <div className="space-y-3 text-xs">
+            <div>
+              <div className="font-medium mb-1">Reference length (orange line)</div>
+              <div className="flex gap-2">
+                <input type="number" min="0" step="0.01" value={refLength} onChange={(e) => setRefLength(e.target.value)} className="w-24 p-1.5 border rounded" />
+                <select value={refUnit} onChange={(e) => setRefUnit(e.target.value)} className="p-1.5 border rounded">
+                  <option value="m">m</option>
+                  <option value="ft">ft</option>
+                  <option value="in">in</option>
+                </select>
+              </div>
+              {size ? (
+                <div className="mt-1 text-gray-700">
+                  Marked area ≈ {formatLength(size.widthM)} × {formatLength(size.depthM)}
+                  {!size.estimated && (
+                    <div className="text-amber-700">Photo taken square-on: the depth assumes a typical phone lens.</div>
+                  )}
+                </div>
+              ) : (
+                <div className="mt-1 text-red-600">Enter the reference length and give the line some length.</div>
+              )}
+            </div>
+
+            <div>
+              <div className="font-medium mb-1">Tool</div>
+              <div className="flex gap-1">
+                {toolButton("corners", "Corners")}
+                {toolButton("mask", "Mask furniture")}
+                {toolButton("erase", "Erase mask")}
+              </div>
+              {tool !== "corners" && (
+                <label className="block mt-2">
+                  Brush: {brush}px
+                  <input type="range" min="8" max="160" step="4" value={brush} onChange={(e) => setBrush(parseInt(e.target.value, 10))} className="w-full" />
+                </label>
+              )}
+              <button type="button" onClick={clearMask} className="mt-1 underline">
+                Clear mask
+              </button>
+            </div>
+
+            <label className="block">
+              Room lighting on the tiles: {Math.round(blend * 100)}%
+              <input type="range" min="0" max="1" step="0.05" value={blend} onChange={(e) => setBlend(parseFloat(e.target.value))} className="w-full" />
+            </label>
+
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={() => setLaid(true)}
+                disabled={!size}
+                className="bg-purple-600 text-white px-3 py-1.5 rounded hover:bg-purple-700 disabled:bg-gray-400"
+              >
+                {laid ? "Tiles laid (updates live)" : "Lay tiles"}
+              </button>
+              {result && (
+                <>
+                  <button
+                    type="button"
+                    onPointerDown={() => setShowBefore(true)}
+                    onPointerUp={() => setShowBefore(false)}
+                    onPointerLeave={() => setShowBefore(false)}
+                    className="px-3 py-1.5 border rounded"
+                  >
+                    Hold for before
+                  </button>
+                  <button type="button" onClick={() => downloadDataUrl(result, "room-visualisation.jpg")} className="px-3 py-1.5 border rounded">
+                    Download
+                  </button>
+                </>
+              )}
+            </div>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={showMarks} onChange={(e) => setShowMarks(e.target.checked)} />
+              Show corners, line and mask
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* CatalogProductNote - catalog facts for the selected product, flagging hand-edited size or price */
+function CatalogProductNote({ product, length, width, unit, price, onReset }) {
+  const toMm = (v) => Math.round((parseFloat(v) || 0) * (UNIT_TO_METERS[unit] || 1) * 1000);
+  const sizeEdited = toMm(length) !== product.lengthMm || toMm(width) !== product.widthMm;
+  const priceEdited = Math.abs((parseFloat(price) || 0) - product.pricePerTile) > 0.005;
+  return (
+    <div className="col-span-2 text-xs text-gray-700 bg-gray-50 border rounded p-2">
+      <div>
+        <strong>{product.sku}</strong> • {product.name} ({product.collection}) • {product.nominalSize} × {product.thicknessMm} mm •{" "}
+        {product.finish}
+      </div>
+      <div>
+        ${product.pricePerTile.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per tile • $
+        {product.pricePerM2.toLocaleString()} per m² • {product.piecesPerBox} pcs / box ({product.m2PerBox} m²)
+      </div>
+      {(sizeEdited || priceEdited) && (
+        <div className="mt-1 text-amber-800">
+          ⚠ {[sizeEdited && "size", priceEdited && "price"].filter(Boolean).join(" and ")} differ from the catalog.{" "}
+          <button type="button" onClick={onReset} className="underline">
+            Use catalog values
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* BoxSummary - whole-box quantity line for the estimate */
+function BoxSummary({ boxes }) {
+  return (
+    <div className="text-xs text-gray-700">
+      {boxes.piecesPerBox > 1 ? (
+        <>
+          Boxes: <strong>{boxes.boxes.toLocaleString()}</strong> × {boxes.piecesPerBox} pcs = {boxes.pieces.toLocaleString()} pcs
+        </>
+      ) : (
+        <>Sold loose: {boxes.pieces.toLocaleString()} pcs</>
+      )}
+      {" "}• covers {boxes.m2Covered.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²
+      {boxes.leftoverPieces > 0 ? ` • ${boxes.leftoverPieces} spare pc(s)` : ""}
+    </div>
+  );
+}
+
+/* ProjectQuote - consolidated materials for every room of a project, plus one delivery */
+function ProjectQuote({ quote, delivery }) {
+  const money = (v) => Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return (
+    <div className="mt-4 p-3 rounded border bg-purple-50 text-sm">
+      <div className="font-semibold text-lg mb-1">Project Quote</div>
+      {quote.missing.length > 0 && (
+        <div className="text-xs text-amber-700 mb-1">Not calculated yet: {quote.missing.join(", ")}</div>
+      )}
+      <ul className="text-xs text-gray-700 mb-2">
+        {quote.rooms.map((r, i) => (
+          <li key={i}>
+            {r.name}: {r.roomAreaM2.toFixed(2)} m² floor{r.wallAreaM2 > 0 ? ` + ${r.wallAreaM2.toFixed(2)} m² wall` : ""} • $
+            {money(r.materialsTotal)} on its own
+          </li>
+        ))}
+      </ul>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1">Product</th>
+            <th>Rooms</th>
+            <th className="text-right">Tiles</th>
+            <th className="text-right">Boxes</th>
+            <th className="text-right">Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quote.tiles.map((l) => (
+            <tr key={l.key} className="border-t">
+              <td className="py-1 pr-2">
+                <strong>{l.product.sku}</strong> {l.product.name} ({l.surfaces.join(" + ")})
+              </td>
+              <td className="pr-2">{l.rooms.join(", ")}</td>
+              <td className="text-right">{l.tilesNeeded.toLocaleString()}</td>
+              <td className="text-right">
+                {l.piecesPerBox > 1 ? l.boxes.boxes : `${l.boxes.pieces} pcs`}
+                {l.piecesPerBox > 1 && l.roomBoxes > l.boxes.boxes ? (
+                  <span className="text-green-700"> (−{l.roomBoxes - l.boxes.boxes})</span>
+                ) : null}
+              </td>
+              <td className="text-right">${money(l.totalCost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2">
+        Thinset / adhesive: <strong>{quote.thinset.bags}</strong> bag(s) = ${money(quote.thinset.cost)}
+        {quote.thinset.roomBags > quote.thinset.bags ? (
+          <span className="text-xs text-green-700"> ({quote.thinset.roomBags - quote.thinset.bags} fewer than room by room)</span>
+        ) : null}
+      </div>
+      {quote.strips.map((st) => (
+        <div key={st.key} className="text-xs text-gray-700">
+          {st.label}: {st.linearM.toFixed(2)} m → {st.pieces} pcs = ${money(st.cost)}
+        </div>
+      ))}
+      {quote.sundries.items.length > 0 && (
+        <div className="text-xs text-gray-700">
+          Sundries: {quote.sundries.items.map((i) => `${i.quantity} × ${i.label.toLowerCase()}`).join(", ")} = $
+          {money(quote.sundries.total)}
+        </div>
+      )}
+      <div className="mt-1">Delivery: {delivery.method === "delivery" ? `$${money(delivery.cost)}` : "Pickup"}</div>
+      {quote.savings > 0 && (
+        <div className="text-xs text-green-700">Combining rooms saves ${money(quote.savings)} against quoting them separately.</div>
+      )}
+      <hr className="my-2" />
+      <div className="text-base font-bold">Project Total: ${money(quote.materialsTotal + delivery.cost)}</div>
+    </div>
+  );
+}
+
+/* RoomOutlineEditor - custom room shape as wall segments + top-down plan */
+function RoomOutlineEditor({ points = [], unit = "m", onChange }) {
+  const svgRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [draft, setDraft] = useState([]);
+
+  const toUnit = 1 / (UNIT_TO_METERS[unit] || 1);
+  const snapStep = unit === "in" ? 1 : unit === "ft" ? 0.25 : 0.05;
+  const snapValue = (v) => roundTo(Math.round(v / snapStep) * snapStep, 3);
+
+  // Plan extent: the outline's bounds (plus an 8 m square while drawing, so the view doesn't jump)
+  const extent = 8 * toUnit;
+  const framePoints = drawing ? [...points, ...draft, [0, 0], [extent, extent]] : points;
+  const b = framePoints.length ? polygonBounds(framePoints) : { minX: 0, minZ: 0, width: extent, depth: extent };
+  const span = Math.max(b.width, b.depth, extent * 0.25);
+  const pad = span * 0.1;
+  const viewBox = `${b.minX - pad} ${b.minZ - pad} ${Math.max(b.width, 1e-3) + pad * 2} ${Math.max(b.depth, 1e-3) + pad * 2}`;
+  const stroke = span * 0.006;
+  const handleR = span * 0.018;
+
+  const toPlanPoint = (e) => {
+    const svg = svgRef.current;
+    if (!svg) return [0, 0];
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return [snapValue(p.x), snapValue(p.y)];
+  };
+
+  const onPlanMove = (e) => {
+    if (dragIndex === null || drawing) return;
+    const next = toPlanPoint(e);
+    onChange(points.map((p, k) => (k === dragIndex ? next : p)));
+  };
+
+  const onPlanClick = (e) => {
+    if (!drawing) return;
+    const p = toPlanPoint(e);
+    // Clicking the first point closes the outline
+    if (draft.length >= 3 && Math.hypot(p[0] - draft[0][0], p[1] - draft[0][1]) <= handleR * 1.5) {
+      finishDrawing();
+      return;
+    }
+    setDraft((d) => [...d, p]);
+  };
+
+  const finishDrawing = () => {
+    if (draft.length >= 3) onChange(draft);
+    setDraft([]);
+    setDrawing(false);
+  };
+
+  const insertVertexAfter = (i) => {
+    const a = points[i];
+    const c = points[(i + 1) % points.length];
+    const mid = [snapValue((a[0] + c[0]) / 2), snapValue((a[1] + c[1]) / 2)];
+    onChange([...points.slice(0, i + 1), mid, ...points.slice(i + 1)]);
+  };
+
+  const removeVertex = (i) => {
+    if (points.length <= 3) return;
+    onChange(points.filter((_, k) => k !== i));
+  };
+
+  // Editing wall i moves its end vertex; every later vertex shifts with it so other walls keep their length
+  const setSegment = (i, length, heading) => {
+    if (isNaN(length) || isNaN(heading) || length <= 0) return;
+    const [x0, z0] = points[i];
+    const rad = (heading * Math.PI) / 180;
+    const [ox, oz] = points[i + 1];
+    const dx = x0 + length * Math.cos(rad) - ox;
+    const dz = z0 + length * Math.sin(rad) - oz;
+    onChange(points.map((p, k) => (k > i ? [roundTo(p[0] + dx), roundTo(p[1] + dz)] : p)));
+  };
+
+  const applyPreset = (presetName) => {
+    onChange(ROOM_SHAPE_PRESETS[presetName].map(([x, z]) => [roundTo(x * toUnit, 2), roundTo(z * toUnit, 2)]));
+  };
+
+  const segments = points.map((start, i) => {
+    const end = points[(i + 1) % points.length];
+    const dx = end[0] - start[0];
+    const dz = end[1] - start[1];
+    const heading = ((Math.atan2(dz, dx) * 180) / Math.PI + 360) % 360;
+    return { length: Math.hypot(dx, dz), heading };
+  });
+
+  const crossing = points.length >= 4 && polygonSelfIntersects(points);
+
+  return (
+    <div className="p-3 rounded border bg-gray-50 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="text-xs font-medium">Presets:</span>
+        {Object.keys(ROOM_SHAPE_PRESETS).map((p) => (
+          <button key={p} onClick={() => applyPreset(p)} className="px-2 py-1 border rounded bg-white hover:bg-gray-100 text-xs">
+            {p}
+          </button>
+        ))}
+      </div>
+
+      {/* Top-down plan */}
+      <svg
+        ref={svgRef}
+        viewBox={viewBox}
+        className={`w-full h-64 bg-white border rounded touch-none ${drawing ? "cursor-crosshair" : ""}`}
+        onPointerMove={onPlanMove}
+        onPointerUp={() => setDragIndex(null)}
+        onPointerLeave={() => setDragIndex(null)}
+        onClick={onPlanClick}
+      >
+        {!drawing && points.length >= 3 && (
+          <polygon
+            points={points.map(([x, z]) => `${x},${z}`).join(" ")}
+            fill={crossing ? "#fee2e2" : "#ede9fe"}
+            stroke={crossing ? "#dc2626" : "#6d28d9"}
+            strokeWidth={stroke}
+          />
+        )}
+        {drawing && draft.length > 0 && (
+          <polyline points={draft.map(([x, z]) => `${x},${z}`).join(" ")} fill="none" stroke="#6d28d9" strokeWidth={stroke} />
+        )}
+        {!drawing &&
+          points.map((p, i) => {
+            const c = points[(i + 1) % points.length];
+            return (
+              <circle
+                key={`mid-${i}`}
+                cx={(p[0] + c[0]) / 2}
+                cy={(p[1] + c[1]) / 2}
+                r={handleR * 0.7}
+                fill="#ffffff"
+                stroke="#6d28d9"
+                strokeWidth={stroke * 0.6}
+                className="cursor-copy"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  insertVertexAfter(i);
+                }}
+              >
+                <title>Split wall {i + 1}</title>
+              </circle>
+            );
+          })}
+        {(drawing ? draft : points).map(([x, z], i) => (
+          <circle
+            key={`v-${i}`}
+            cx={x}
+            cy={z}
+            r={handleR}
+            fill={i === 0 ? "#16a34a" : "#6d28d9"}
+            className={drawing ? "" : "cursor-move"}
+            onPointerDown={(e) => {
+              if (drawing) return;
+              e.stopPropagation();
+              setDragIndex(i);
+            }}
+            onDoubleClick={(e) => {
+              e.stopPropagation();
+              if (!drawing) removeVertex(i);
+            }}
+          >
+            <title>{drawing ? `Point ${i + 1}` : `Corner ${i + 1} (drag to move, double-click to remove)`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+        {drawing ? (
+          <>
+            <span className="text-gray-600">Click to place corners; click the green corner or Finish to close.</span>
+            <button onClick={finishDrawing} disabled={draft.length < 3} className="px-2 py-1 rounded bg-purple-600 text-white disabled:bg-gray-400">
+              Finish
             </button>
-          </div>
-        </div>
-        {/* Content */}
-        {!collapsed && <div className="p-3 overflow-auto max-h-[60vh]">{children}</div>}
+            <button onClick={() => { setDraft([]); setDrawing(false); }} className="px-2 py-1 rounded border bg-white">
+              Cancel
+            </button>
+          </>
+        ) : (
+          <>
+            <button onClick={() => setDrawing(true)} className="px-2 py-1 rounded border bg-white hover:bg-gray-100">
+              Draw new outline
+            </button>
+            <span className="text-gray-600">Drag corners, click ○ to split a wall, double-click a corner to remove it.</span>
+          </>
+        )}
       </div>
+
+      {/* Wall segments */}
+      {!drawing && points.length >= 3 && (
+        <table className="w-full mt-3 text-xs">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1">Wall</th>
+              <th className="py-1">Length ({unit})</th>
+              <th className="py-1">Heading (°, 0 = →, 90 = ↓)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {segments.map((seg, i) => {
+              const closing = i === segments.length - 1;
+              return (
+                <tr key={`seg-${i}`}>
+                  <td className="py-0.5">{closing ? `${i + 1} (closing)` : i + 1}</td>
+                  <td className="py-0.5 pr-2">
+                    <input
+                      type="number"
+                      step={snapStep}
+                      min="0"
+                      value={roundTo(seg.length, 2)}
+                      disabled={closing}
+                      onChange={(e) => setSegment(i, parseFloat(e.target.value), seg.heading)}
+                      className="w-full p-1 border rounded disabled:bg-gray-100"
+                    />
+                  </td>
+                  <td className="py-0.5">
+                    <input
+                      type="number"
+                      step="15"
+                      value={roundTo(seg.heading, 1)}
+                      disabled={closing}
+                      onChange={(e) => setSegment(i, seg.length, parseFloat(e.target.value))}
+                      className="w-full p-1 border rounded disabled:bg-gray-100"
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {points.length >= 3 && (
+        <div className="mt-2 text-xs text-gray-700">
+          Floor area: <strong>{roundTo(polygonArea(points), 2).toLocaleString()} {unit}²</strong> • Perimeter:{" "}
+          {roundTo(polygonPerimeter(points), 2).toLocaleString()} {unit} • {points.length} walls
+        </div>
+      )}
+      {crossing && <div className="mt-1 text-xs text-red-600">Walls cross each other — adjust the outline before calculating.</div>}
     </div>
   );
 }
@@ -445,16 +3949,151 @@ async function reverseGeocodeNominatimJM(lat, lon) {
 }
 
 /* ---------- 3D Objects: loader + items layer ---------- */
-function GLTFModel({ url, modelScale = 1, scale, rotation = [0, 0, 0] }) {
+function GLTFModel({ url, modelScale = 1, scale, rotation = [0, 0, 0], onMeasure }) {
   const { scene } = useGLTF(url);
   const s = scale ?? modelScale;
+  // Each placed item gets its own copy (one scene graph can only sit in one place)
+  const model = useMemo(() => scene.clone(true), [scene]);
+
+  // Report the model's plan size (at modelScale) for collision and clearance checks
+  useEffect(() => {
+    if (!onMeasure) return;
+    model.updateMatrixWorld(true);
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    onMeasure(url, { sizeX: size.x * s, sizeZ: size.z * s, height: size.y * s });
+  }, [model, url, s, onMeasure]);
+
   return (
     <Center top>
-      <primitive object={scene} scale={s} rotation={rotation} />
+      <primitive object={model} scale={s} rotation={rotation} />
     </Center>
   );
 }
 
+/*
+ * PlaceholderModel - a stand-in built from primitives, shown while a model loads or when its file
+ * is missing. `kind` is a PLACEHOLDER_FURNITURE key; parts are laid out at the kind's typical size
+ * and stretched to `size`. Like the models, it faces +z and stands on y = 0.
+ */
+function PlaceholderModel({ kind = "generic", size }) {
+  const base = PLACEHOLDER_FURNITURE[kind] || PLACEHOLDER_FURNITURE.generic;
+  const { sizeX: w, sizeZ: d, height: h } = base;
+  const stretch = size ? [size.sizeX / w, size.height / h, size.sizeZ / d] : [1, 1, 1];
+  const wood = "#8b6b4a";
+  const white = "#f3f2ef";
+  const fabric = "#6f7f8f";
+  const steel = "#c9ccd1";
+
+  // Box centred at [x, y, z] with size [sx, sy, sz]
+  const part = (key, [x, y, z], [sx, sy, sz], color, extra = {}) => (
+    <mesh key={key} position={[x, y, z]} castShadow receiveShadow>
+      <boxGeometry args={[sx, sy, sz]} />
+      <meshStandardMaterial color={color} roughness={0.7} {...extra} />
+    </mesh>
+  );
+  const cylinder = (key, [x, y, z], radius, height, color, extra = {}) => (
+    <mesh key={key} position={[x, y, z]} castShadow receiveShadow>
+      <cylinderGeometry args={[radius, radius * 0.9, height, 20]} />
+      <meshStandardMaterial color={color} roughness={0.5} {...extra} />
+    </mesh>
+  );
+
+  const parts = {
+    bed: () => [
+      part("frame", [0, 0.15, 0], [w, 0.3, d], wood),
+      part("mattress", [0, 0.41, 0.03], [w - 0.06, 0.22, d - 0.12], white),
+      part("head", [0, h / 2, -d / 2 + 0.03], [w, h, 0.06], wood),
+      part("pillowL", [-w / 4, 0.57, -d / 2 + 0.3], [w / 2 - 0.12, 0.1, 0.35], white),
+      part("pillowR", [w / 4, 0.57, -d / 2 + 0.3], [w / 2 - 0.12, 0.1, 0.35], white),
+      part("throw", [0, 0.53, d / 2 - 0.35], [w - 0.04, 0.03, 0.6], fabric),
+    ],
+    nightstand: () => [
+      part("body", [0, h / 2, 0], [w, h, d], wood),
+      part("drawer", [0, h - 0.15, d / 2 + 0.005], [w - 0.06, 0.16, 0.01], "#a0815f"),
+      part("knob", [0, h - 0.15, d / 2 + 0.02], [0.06, 0.02, 0.02], steel, { metalness: 0.8 }),
+    ],
+    wardrobe: () => [
+      part("body", [0, h / 2, 0], [w, h, d], wood),
+      part("doorL", [-w / 4, h / 2 + 0.04, d / 2 + 0.005], [w / 2 - 0.02, h - 0.12, 0.01], "#a0815f"),
+      part("doorR", [w / 4, h / 2 + 0.04, d / 2 + 0.005], [w / 2 - 0.02, h - 0.12, 0.01], "#a0815f"),
+      part("handleL", [-0.05, h / 2, d / 2 + 0.02], [0.02, 0.3, 0.02], steel, { metalness: 0.8 }),
+      part("handleR", [0.05, h / 2, d / 2 + 0.02], [0.02, 0.3, 0.02], steel, { metalness: 0.8 }),
+    ],
+    sofa: () => [
+      part("base", [0, 0.21, 0.05], [w - 0.4, 0.42, d - 0.1], fabric),
+      part("back", [0, 0.55, -d / 2 + 0.1], [w, 0.6, 0.2], fabric),
+      part("armL", [-w / 2 + 0.1, 0.3, 0], [0.2, 0.6, d], fabric),
+      part("armR", [w / 2 - 0.1, 0.3, 0], [0.2, 0.6, d], fabric),
+      ...[-1, 0, 1].map((k) => part(`seat${k}`, [k * ((w - 0.4) / 3), 0.48, 0.1], [(w - 0.4) / 3 - 0.02, 0.12, d - 0.3], "#7c8c9c")),
+    ],
+    table: () => [
+      part("top", [0, h - 0.02, 0], [w, 0.04, d], wood),
+      ...[[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz], i) =>
+        part(`leg${i}`, [sx * (w / 2 - 0.05), (h - 0.04) / 2, sz * (d / 2 - 0.05)], [0.05, h - 0.04, 0.05], wood)
+      ),
+    ],
+    cabinet: () => [
+      part("plinth", [0, 0.05, -0.03], [w, 0.1, d - 0.06], "#3a3a3a"),
+      part("body", [0, 0.47, 0], [w, 0.74, d], white),
+      part("top", [0, h - 0.02, 0.01], [w, 0.04, d + 0.02], "#5b5552"),
+      part("handle", [0, h - 0.15, d / 2 + 0.015], [w * 0.5, 0.02, 0.02], steel, { metalness: 0.8 }),
+    ],
+    fridge: () => [
+      part("body", [0, h / 2, 0], [w, h, d], steel, { metalness: 0.6, roughness: 0.35 }),
+      part("split", [0, h * 0.62, d / 2 + 0.002], [w - 0.02, 0.01, 0.005], "#6b6e73"),
+      part("handleTop", [w / 2 - 0.08, h * 0.78, d / 2 + 0.03], [0.03, 0.35, 0.03], "#55585c", { metalness: 0.8 }),
+      part("handleLow", [w / 2 - 0.08, h * 0.42, d / 2 + 0.03], [0.03, 0.4, 0.03], "#55585c", { metalness: 0.8 }),
+    ],
+    toilet: () => [
+      part("cistern", [0, 0.6, -d / 2 + 0.09], [w, 0.36, 0.18], white, { roughness: 0.25 }),
+      cylinder("pan", [0, 0.2, 0.08], 0.17, 0.4, white, { roughness: 0.25 }),
+      part("seat", [0, 0.41, 0.08], [w - 0.02, 0.03, 0.42], white, { roughness: 0.3 }),
+    ],
+    sink: () => [
+      part("vanity", [0, 0.39, 0], [w, 0.78, d], wood),
+      part("basin", [0, 0.81, 0.01], [w, 0.06, d + 0.02], white, { roughness: 0.25 }),
+      part("bowl", [0, 0.84, 0.03], [w - 0.16, 0.005, d - 0.16], "#dcdcda", { roughness: 0.2 }),
+      cylinder("tap", [0, 0.92, -d / 2 + 0.07], 0.015, 0.16, steel, { metalness: 0.9, roughness: 0.2 }),
+    ],
+    tub: () => [
+      part("shell", [0, h / 2, 0], [w, h, d], white, { roughness: 0.25 }),
+      part("well", [0, h - 0.005, 0], [w - 0.14, 0.012, d - 0.14], "#dfe6ea", { roughness: 0.15 }),
+      cylinder("tap", [-w / 2 + 0.12, h + 0.08, 0], 0.015, 0.16, steel, { metalness: 0.9, roughness: 0.2 }),
+    ],
+    plant: () => [
+      cylinder("pot", [0, 0.15, 0], w / 3, 0.3, "#b5651d"),
+      cylinder("stem", [0, 0.5, 0], 0.015, 0.45, "#5b4a2f"),
+      ...[[0, 0.85, 0, 0.22], [-0.08, 0.72, 0.05, 0.16], [0.09, 0.75, -0.04, 0.15], [0.02, 1.0, 0.02, 0.13]].map(([x, y, z, r], i) => (
+        <mesh key={`leaf${i}`} position={[x, y, z]} castShadow>
+          <sphereGeometry args={[r, 16, 12]} />
+          <meshStandardMaterial color="#3f7d3a" roughness={0.8} />
+        </mesh>
+      )),
+    ],
+    generic: () => [part("box", [0, h / 2, 0], [w, h, d], "#8a8a8a")],
+  };
+
+  return <group scale={stretch}>{(parts[kind] || parts.generic)()}</group>;
+}
+
+/* ModelErrorBoundary - shows `fallback` instead of a model that failed to load (missing or broken file) */
+class ModelErrorBoundary extends React.Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidUpdate(prevProps) {
+    // A different file gets a fresh try
+    if (prevProps.resetKey !== this.props.resetKey && this.state.failed) this.setState({ failed: false });
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
 function SceneObject({
   obj,
   selected,
@@ -462,41 +4101,48 @@ function SceneObject({
   onChange,
   onTransformStart,
   onTransformEnd,
+  onMeasure,
   mode = "translate",
   snap = { t: 0, r: 0, s: 0 },
-  bounds = { sizeX: 10, sizeY: 10 },
+  size,
+  placement = {},
 }) {
   const groupRef = useRef();
-
-  const clampToRoom = (x, z) => {
-    const halfX = bounds.sizeX / 2;
-    const halfZ = bounds.sizeY / 2;
-    return [
-      Math.min(halfX, Math.max(-halfX, x)),
-      Math.min(halfZ, Math.max(-halfZ, z)),
-    ];
+  const standIn = <PlaceholderModel kind={obj.placeholder} size={obj.standInSize} />;
+
+  // Put the group back where the object last fitted
+  const revert = (g) => {
+    const [x, y, z] = obj.position || [0, 0, 0];
+    g.position.set(x, y, z);
+    g.rotation.set(0, obj.rotationY || 0, 0);
+    const s0 = obj.scale || 1;
+    g.scale.set(s0, s0, s0);
   };
 
   const handleChange = () => {
     if (!groupRef.current) return;
     const g = groupRef.current;
 
-    // Keep upright and on floor
-    g.position.y = 0;
-    g.rotation.x = 0;
-    g.rotation.z = 0;
-
-    // Clamp to room
-    const [cx, cz] = clampToRoom(g.position.x, g.position.z);
-    g.position.set(cx, 0, cz);
-
-    // Enforce uniform scale (use X as source)
+    // Keep upright and on floor, with a uniform scale (X is the source)
     const s = Math.max(0.01, g.scale.x);
+    const candidate = objectFootprint(
+      { position: [g.position.x, 0, g.position.z], rotationY: g.rotation.y, scale: s },
+      size || obj.standInSize || DEFAULT_MODEL_SIZE
+    );
+
+    // Whole footprint inside the room and clear of other items; backs snap to walls while moving
+    const fp = placeFootprint(candidate, { ...placement, snapDistance: mode === "translate" ? placement.snapDistance : 0 });
+    if (!fp) {
+      revert(g);
+      return;
+    }
+    g.position.set(fp.x, 0, fp.z);
+    g.rotation.set(0, fp.rotY, 0);
     g.scale.set(s, s, s);
 
     onChange(obj.id, {
-      position: [g.position.x, g.position.y, g.position.z],
-      rotationY: g.rotation.y,
+      position: [fp.x, 0, fp.z],
+      rotationY: fp.rotY,
       scale: s,
     });
   };
@@ -515,20 +4161,20 @@ function SceneObject({
       rotation={[0, obj.rotationY || 0, 0]}
       scale={obj.scale || 1}
       onClick={(e) => {
+        if (!onSelect) return; // measuring: let the click through to the tape
         e.stopPropagation();
         onSelect(obj.id);
       }}
     >
-      <Suspense
-        fallback={
-          <mesh>
-            <boxGeometry args={[0.8, 0.6, 1.2]} />
-            <meshStandardMaterial color="#8a8a8a" />
-          </mesh>
-        }
-      >
-        <GLTFModel url={obj.url} modelScale={obj.modelScale || 1} />
-      </Suspense>
+      {obj.url ? (
+        <ModelErrorBoundary resetKey={obj.url} fallback={standIn}>
+          <Suspense fallback={standIn}>
+            <GLTFModel url={obj.url} modelScale={obj.modelScale || 1} onMeasure={onMeasure} />
+          </Suspense>
+        </ModelErrorBoundary>
+      ) : (
+        standIn
+      )}
     </group>
   );
 
@@ -556,6 +4202,400 @@ function SceneObject({
   );
 }
 
+/* UntiledPatch - bare screed where a fixed item stands on an untiled floor */
+function UntiledPatch({ fp, color = "#9c978f" }) {
+  return (
+    <mesh position={[fp.x, 0.004, fp.z]} rotation={[-Math.PI / 2, 0, fp.rotY]} receiveShadow>
+      <planeGeometry args={[fp.hx * 2, fp.hz * 2]} />
+      <meshStandardMaterial color={color} roughness={0.95} metalness={0} />
+    </mesh>
+  );
+}
+
+/* FootprintOutline - a flat rectangle on the floor (flagged items, blocked door swings) */
+function FootprintOutline({ fp, color = "#dc2626", fill = false }) {
+  return (
+    <mesh position={[fp.x, 0.012, fp.z]} rotation={[-Math.PI / 2, 0, fp.rotY]} userData={{ overlay: true }}>
+      <planeGeometry args={[fp.hx * 2, fp.hz * 2]} />
+      <meshBasicMaterial color={color} transparent opacity={fill ? 0.25 : 0.5} wireframe={!fill} depthWrite={false} />
+    </mesh>
+  );
+}
+
+/*
+ * RenderExporter - puts a capture function on `exportRef`: it renders the current view at
+ * width × height into a new canvas, without the editing overlays (gizmos, dimension lines,
+ * footprint outlines), then puts the renderer back as it was.
+ */
+function RenderExporter({ exportRef }) {
+  const gl = useThree((state) => state.gl);
+  const scene = useThree((state) => state.scene);
+  const camera = useThree((state) => state.camera);
+  const size = useThree((state) => state.size);
+
+  useEffect(() => {
+    exportRef.current = (width, height) => {
+      const max = gl.capabilities.maxTextureSize;
+      const fit = Math.min(1, max / width, max / height);
+      const w = Math.floor(width * fit);
+      const h = Math.floor(height * fit);
+
+      const hidden = [];
+      scene.traverse((o) => {
+        if (o.visible && (o.userData.overlay || o.isTransformControls)) {
+          o.visible = false;
+          hidden.push(o);
+        }
+      });
+      const pixelRatio = gl.getPixelRatio();
+      const saved = camera.isOrthographicCamera
+        ? { zoom: camera.zoom, left: camera.left, right: camera.right, top: camera.top, bottom: camera.bottom }
+        : { aspect: camera.aspect };
+
+      gl.setPixelRatio(1);
+      gl.setSize(w, h, false);
+      if (camera.isOrthographicCamera) {
+        // Keep the framing: the same world width per view as on screen
+        camera.zoom *= Math.min(w / size.width, h / size.height);
+        Object.assign(camera, { left: -w / 2, right: w / 2, top: h / 2, bottom: -h / 2 });
+      } else {
+        camera.aspect = w / h;
+      }
+      camera.updateProjectionMatrix();
+      gl.render(scene, camera);
+
+      const out = document.createElement("canvas");
+      out.width = w;
+      out.height = h;
+      out.getContext("2d").drawImage(gl.domElement, 0, 0, w, h);
+
+      hidden.forEach((o) => (o.visible = true));
+      Object.assign(camera, saved);
+      camera.updateProjectionMatrix();
+      gl.setPixelRatio(pixelRatio);
+      gl.setSize(size.width, size.height, false);
+      gl.render(scene, camera);
+      return out;
+    };
+    return () => {
+      exportRef.current = null;
+    };
+  }, [gl, scene, camera, size, exportRef]);
+  return null;
+}
+
+/*
+ * CompareRenderer - takes over drawing while comparing tiles: the scene is rendered once per pane
+ * through the one (shared) camera, each pane showing only its own floor - the groups tagged
+ * userData.comparePane - in place of the normal floor in `hideRef`.
+ */
+function CompareRenderer({ panes, hideRef }) {
+  useFrame(({ gl, scene, camera, size }) => {
+    scene.traverse((o) => {
+      if (o.userData.comparePane == null) return;
+      const layer = COMPARE_LAYER + o.userData.comparePane;
+      o.traverse((c) => c.layers.set(layer));
+    });
+    const saved = camera.isOrthographicCamera
+      ? { zoom: camera.zoom, left: camera.left, right: camera.right, top: camera.top, bottom: camera.bottom }
+      : { aspect: camera.aspect };
+    const px = ({ x, y, w, h }) => [x * size.width, (1 - y - h) * size.height, w * size.width, h * size.height];
+
+    if (hideRef.current) hideRef.current.visible = false;
+    gl.autoClear = false;
+    gl.setScissorTest(true);
+    gl.setScissor(0, 0, size.width, size.height);
+    gl.clear();
+    panes.forEach((pane, i) => {
+      const [vx, vy, vw, vh] = px(pane.view);
+      gl.setViewport(vx, vy, vw, vh);
+      gl.setScissor(...px(pane.clip));
+      camera.layers.set(0);
+      camera.layers.enable(COMPARE_LAYER + i);
+      if (camera.isOrthographicCamera) {
+        camera.zoom = saved.zoom * Math.min(vw / size.width, vh / size.height);
+        Object.assign(camera, { left: -vw / 2, right: vw / 2, top: vh / 2, bottom: -vh / 2 });
+      } else {
+        camera.aspect = vw / vh;
+      }
+      camera.updateProjectionMatrix();
+      gl.render(scene, camera);
+    });
+
+    camera.layers.set(0);
+    Object.assign(camera, saved);
+    camera.updateProjectionMatrix();
+    gl.setScissorTest(false);
+    gl.setViewport(0, 0, size.width, size.height);
+    gl.autoClear = true;
+    if (hideRef.current) hideRef.current.visible = true;
+  }, 1);
+  return null;
+}
+
+/*
+ * CameraRig - eases the camera (and the orbit target) to `goal` whenever `goal.key` changes; the
+ * user grabbing the controls ends the move early.
+ */
+function CameraRig({ goal }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const moving = useRef(false);
+  const to = useRef({ position: new THREE.Vector3(), target: new THREE.Vector3() });
+  // The goal is rebuilt every render; only a new key starts a move, so it is read through a ref
+  const goalRef = useRef(goal);
+  goalRef.current = goal;
+  const goalKey = goal?.key;
+
+  useEffect(() => {
+    moving.current = false;
+    const g = goalRef.current;
+    if (!g) return;
+    to.current.position.set(...g.position);
+    to.current.target.set(...g.target);
+    moving.current = true;
+  }, [goalKey]);
+
+  useEffect(() => {
+    if (!controls) return;
+    const stop = () => (moving.current = false);
+    controls.addEventListener("start", stop);
+    return () => controls.removeEventListener("start", stop);
+  }, [controls]);
+
+  useFrame((_, dt) => {
+    if (!moving.current) return;
+    const k = 1 - Math.exp(-Math.min(dt, 0.1) * 5);
+    camera.position.lerp(to.current.position, k);
+    if (controls) {
+      controls.target.lerp(to.current.target, k);
+      controls.update();
+    } else {
+      camera.lookAt(to.current.target);
+    }
+    if (camera.position.distanceTo(to.current.position) < 0.005) moving.current = false;
+  });
+  return null;
+}
+
+/* PlanCamera - top-down orthographic camera framing the room outline, back wall at the top */
+function PlanCamera({ outline }) {
+  const size = useThree((state) => state.size);
+  const controls = useThree((state) => state.controls);
+  const b = polygonBounds(outline);
+  const zoom = 0.85 * Math.min(size.width / Math.max(1, b.width), size.height / Math.max(1, b.depth));
+
+  useEffect(() => {
+    if (!controls) return;
+    controls.target.set(b.cx, 0, b.cz);
+    controls.update();
+  }, [controls, b.cx, b.cz]);
+
+  return <OrthographicCamera makeDefault position={[b.cx, 30, b.cz + 0.001]} zoom={zoom} near={0.1} far={100} />;
+}
+
+/*
+ * WalkControls - eye-height walkthrough: W/S or ↑/↓ walk, A/D step sideways, ←/→ or dragging the
+ * view turns. `inputRef` carries the on-screen joystick ({ x, y } in -1..1). Walls stop the camera.
+ */
+function WalkControls({ start, outline, walls, inputRef }) {
+  const camera = useThree((state) => state.camera);
+  const gl = useThree((state) => state.gl);
+  const keys = useRef(new Set());
+  const look = useRef({ yaw: 0, pitch: 0 });
+  // Where the walk begins; read through a ref so room edits don't pull the walker back there
+  const startRef = useRef(start);
+  startRef.current = start;
+
+  useEffect(() => {
+    const { position, target } = startRef.current;
+    const [x, , z] = position;
+    camera.position.set(x, EYE_HEIGHT_M, z);
+    look.current = { yaw: Math.atan2(-(target[0] - x), -(target[2] - z)), pitch: 0 };
+  }, [camera]);
+
+  useEffect(() => {
+    const typing = (e) => e.target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName);
+    const onKeyDown = (e) => {
+      if (typing(e)) return;
+      if (e.key.startsWith("Arrow")) e.preventDefault();
+      keys.current.add(e.code);
+    };
+    const onKeyUp = (e) => keys.current.delete(e.code);
+    const onBlur = () => keys.current.clear();
+
+    let drag = null;
+    const el = gl.domElement;
+    const onDown = (e) => (drag = { x: e.clientX, y: e.clientY });
+    const onMove = (e) => {
+      if (!drag) return;
+      look.current.yaw -= (e.clientX - drag.x) * 0.005;
+      look.current.pitch = Math.max(-1.2, Math.min(1.2, look.current.pitch - (e.clientY - drag.y) * 0.005));
+      drag = { x: e.clientX, y: e.clientY };
+    };
+    const onUp = () => (drag = null);
+
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    el.addEventListener("pointerdown", onDown);
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+      el.removeEventListener("pointerdown", onDown);
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+    };
+  }, [gl]);
+
+  useFrame((_, delta) => {
+    const dt = Math.min(delta, 0.1);
+    const k = keys.current;
+    const pad = inputRef.current || { x: 0, y: 0 };
+    const forward = (k.has("KeyW") || k.has("ArrowUp") ? 1 : 0) - (k.has("KeyS") || k.has("ArrowDown") ? 1 : 0) + pad.y;
+    const strafe = (k.has("KeyD") ? 1 : 0) - (k.has("KeyA") ? 1 : 0) + pad.x;
+    const turn = (k.has("ArrowLeft") ? 1 : 0) - (k.has("ArrowRight") ? 1 : 0);
+
+    const l = look.current;
+    l.yaw += turn * dt * 1.8;
+    const sin = Math.sin(l.yaw);
+    const cos = Math.cos(l.yaw);
+    const step = WALK_SPEED_M * dt;
+    const move = [(-sin * forward + cos * strafe) * step, (-cos * forward - sin * strafe) * step];
+    if (move[0] || move[1]) {
+      const [x, z] = walkStep([camera.position.x, camera.position.z], move, outline, walls);
+      camera.position.set(x, EYE_HEIGHT_M, z);
+    }
+    camera.rotation.set(l.pitch, l.yaw, 0, "YXZ");
+  });
+  return null;
+}
+
+/* TouchJoystick - on-screen stick for walking on touch screens; writes { x, y } (-1..1) to `inputRef` */
+function TouchJoystick({ inputRef, radius = 40 }) {
+  const [knob, setKnob] = useState([0, 0]);
+
+  const move = (e) => {
+    const r = e.currentTarget.getBoundingClientRect();
+    let dx = e.clientX - (r.left + r.width / 2);
+    let dy = e.clientY - (r.top + r.height / 2);
+    const len = Math.hypot(dx, dy);
+    if (len > radius) {
+      dx *= radius / len;
+      dy *= radius / len;
+    }
+    setKnob([dx, dy]);
+    inputRef.current = { x: dx / radius, y: -dy / radius };
+  };
+  const end = () => {
+    setKnob([0, 0]);
+    inputRef.current = { x: 0, y: 0 };
+  };
+
+  return (
+    <div
+      className="absolute bottom-4 right-4 z-20 w-24 h-24 rounded-full bg-black/25 touch-none select-none"
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        move(e);
+      }}
+      onPointerMove={(e) => e.currentTarget.hasPointerCapture(e.pointerId) && move(e)}
+      onPointerUp={end}
+      onPointerCancel={end}
+    >
+      <div
+        className="absolute w-10 h-10 rounded-full bg-white/90 shadow"
+        style={{ left: `calc(50% - 1.25rem + ${knob[0]}px)`, top: `calc(50% - 1.25rem + ${knob[1]}px)` }}
+      />
+    </div>
+  );
+}
+
+/* DimensionLine - a line between two scene points with its length on a label at the middle */
+function DimensionLine({ from, to, label, color = "#7c3aed", dashed = false }) {
+  const mid = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2, (from[2] + to[2]) / 2];
+  return (
+    <group userData={{ overlay: true }}>
+      <Line points={[from, to]} color={color} lineWidth={2} dashed={dashed} dashSize={0.05} gapSize={0.03} depthTest={false} />
+      {[from, to].map((p, i) => (
+        <mesh key={i} position={p} renderOrder={1}>
+          <sphereGeometry args={[0.02, 12, 8]} />
+          <meshBasicMaterial color={color} depthTest={false} />
+        </mesh>
+      ))}
+      <Html position={mid} center zIndexRange={[5, 0]} style={{ pointerEvents: "none" }}>
+        <div className="px-1.5 py-0.5 rounded bg-white/90 text-black text-xs font-medium shadow whitespace-nowrap">{label}</div>
+      </Html>
+    </group>
+  );
+}
+
+/*
+ * MeasureTool - wraps the room; while `active`, two clicks on the floor, a wall or an item measure
+ * the distance between them (snapped to `targets` corners and edges) and hand [a, b] to `onAdd`.
+ * The hover point lives here so moving the pointer doesn't re-render the whole showroom.
+ */
+function MeasureTool({ active, targets, measurements = [], units, onAdd, children }) {
+  const [start, setStart] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    if (active) return;
+    setStart(null);
+    setHover(null);
+  }, [active]);
+
+  const pick = (e) => snapMeasurePoint([e.point.x, e.point.y, e.point.z], targets);
+  const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+
+  return (
+    <>
+      <group
+        onClick={
+          active
+            ? (e) => {
+                e.stopPropagation();
+                if (e.delta > 4) return; // the end of an orbit drag, not a click
+                const p = pick(e);
+                if (!start) {
+                  setStart(p);
+                  return;
+                }
+                onAdd([start, p]);
+                setStart(null);
+              }
+            : undefined
+        }
+        onPointerMove={
+          active
+            ? (e) => {
+                e.stopPropagation();
+                setHover(pick(e));
+              }
+            : undefined
+        }
+        onPointerOut={active ? () => setHover(null) : undefined}
+      >
+        {children}
+      </group>
+
+      {measurements.map((m) => (
+        <DimensionLine key={m.id} from={m.a} to={m.b} label={formatLength(distance(m.a, m.b), units)} />
+      ))}
+      {active && start && hover && <DimensionLine from={start} to={hover} label={formatLength(distance(start, hover), units)} dashed />}
+      {active && hover && !start && (
+        <mesh position={hover} renderOrder={1} userData={{ overlay: true }}>
+          <sphereGeometry args={[0.025, 12, 8]} />
+          <meshBasicMaterial color="#7c3aed" depthTest={false} />
+        </mesh>
+      )}
+    </>
+  );
+}
+
 function ObjectsLayer({
   objects = [],
   selectedId,
@@ -563,14 +4603,19 @@ function ObjectsLayer({
   onChange,
   onTransformStart,
   onTransformEnd,
+  onMeasure,
   mode,
   snap,
-  sizeX,
-  sizeY,
+  sizes = {},
+  outline,
+  walls = [],
+  wallSnap = 0,
+  flaggedIds = [],
 }) {
+  const footprints = objects.map((o) => objectFootprint(o, sizes[o.url]));
   return (
     <group>
-      {objects.map((obj) => (
+      {objects.map((obj, i) => (
         <SceneObject
           key={obj.id}
           obj={obj}
@@ -579,11 +4624,14 @@ function ObjectsLayer({
           onChange={onChange}
           onTransformStart={onTransformStart}
           onTransformEnd={onTransformEnd}
+          onMeasure={onMeasure}
           mode={mode}
           snap={snap}
-          bounds={{ sizeX, sizeY }}
+          size={sizes[obj.url]}
+          placement={{ outline, walls, others: footprints.filter((_, j) => j !== i), snapDistance: wallSnap }}
         />
       ))}
+      {objects.map((obj, i) => (flaggedIds.includes(obj.id) ? <FootprintOutline key={`fp-${obj.id}`} fp={footprints[i]} /> : null))}
     </group>
   );
 }
@@ -603,24 +4651,67 @@ export default function App() {
     return saved ? JSON.parse(saved) : [];
   });
 
+  // Custom colourways (procedural faces on catalog sizes), kept on this device
+  const [colourways, setColourways] = useState(() => JSON.parse(localStorage.getItem("tileColourways") || "[]"));
+  // Customer tile photos (cropped faces stored as data URLs)
+  const [customTiles, setCustomTiles] = useState(() => JSON.parse(localStorage.getItem("customTiles") || "[]"));
+  const [customTileSurface, setCustomTileSurface] = useState("floor");
+  const catalog = useMemo(
+    () => [...TILE_CATALOG, ...colourways.map(colourwayProduct), ...customTiles],
+    [colourways, customTiles]
+  );
+
   // Showroom & calculator states
-  const [tile, setTile] = useState("Marble");
-  const [wallTile, setWallTile] = useState("Marble");
+  const [tile, setTile] = useState(TILE_CATALOG[0].sku);         // catalog SKU
+  const [wallTile, setWallTile] = useState(TILE_CATALOG[0].sku); // catalog SKU
+  const [colourwaySurface, setColourwaySurface] = useState("floor");
   const [previewTarget, setPreviewTarget] = useState("both");
   const [wallColor, setWallColor] = useState("#ffffff");
-
-  const [tileLength, setTileLength] = useState("");
-  const [tileWidth,  setTileWidth]  = useState("");
+  const [floorPattern, setFloorPattern] = useState("straight"); // key of LAYOUT_PATTERNS
+  const [wallPattern,  setWallPattern]  = useState("straight");
+  const [floorWastePct, setFloorWastePct] = useState(""); // blank = pattern default
+  const [wallWastePct,  setWallWastePct]  = useState("");
+  const [sundryInclude, setSundryInclude] = useState({ grout: true, spacers: true, sealer: true, trim: true }); // keys of SUNDRIES
+
+  const [tileLength, setTileLength] = useState(() => productFormValues(TILE_CATALOG[0]).length);
+  const [tileWidth,  setTileWidth]  = useState(() => productFormValues(TILE_CATALOG[0]).width);
   const [tileUnit,   setTileUnit]   = useState("m");
-  const [tilePrice,  setTilePrice]  = useState("");
+  const [tilePrice,  setTilePrice]  = useState(() => productFormValues(TILE_CATALOG[0]).price);
   const [roomLength, setRoomLength] = useState("");
   const [roomWidth,  setRoomWidth]  = useState("");
   const [roomUnit,   setRoomUnit]   = useState("m");
+  const [roomShape,  setRoomShape]  = useState("rectangle"); // "rectangle" | "outline"
+  const [roomOutline, setRoomOutline] = useState(() => ROOM_SHAPE_PRESETS["L-shape"]); // [x, z] corners in roomUnit
+  const [wallHeightInput, setWallHeightInput] = useState(""); // roomUnit; blank = 3 m
+
+  // Wall tiling (estimated separately from the floor)
+  const [wallTilingEnabled, setWallTilingEnabled] = useState(false);
+  const [wallTileLength,    setWallTileLength]    = useState(() => productFormValues(TILE_CATALOG[0]).length);
+  const [wallTileWidth,     setWallTileWidth]     = useState(() => productFormValues(TILE_CATALOG[0]).width);
+  const [wallTileUnit,      setWallTileUnit]      = useState("m");
+  const [wallTilePrice,     setWallTilePrice]     = useState(() => productFormValues(TILE_CATALOG[0]).price);
+  const [wallTileHeightMode, setWallTileHeightMode] = useState("full"); // "full" | "wainscot"
+  const [wainscotHeight,    setWainscotHeight]    = useState(""); // roomUnit; blank = 1.2 m
+  // Per-wall finish by wall index: { mode: "tile" | "paint", sku ("" = the wall tile above), color ("" = wall colour) }
+  const [wallMaterials, setWallMaterials] = useState({});
+  const [featureWall,   setFeatureWall]   = useState(null); // wall index tiled full height as a feature wall
+  // Decorative strips: { id, type, bottom (m), color, pieceMm, price, wallIndex (null = all walls) }
+  const [wallStrips,    setWallStrips]    = useState([]);
+
+  // Doors, windows and niches: { id, type, wallIndex, offset, width, height, sill, depth } in meters
+  const [openings, setOpenings] = useState([]);
+
+  // Cut planning (floor layout start + minimum acceptable edge cut)
+  const [layoutStart,  setLayoutStart]  = useState("centered"); // key of LAYOUT_STARTS
+  const [layoutCorner, setLayoutCorner] = useState("back-left");
+  const [layoutDoorId, setLayoutDoorId] = useState("");
+  const [minCutMm,     setMinCutMm]     = useState("50");
   const [result,     setResult]     = useState(null);
 
   const [useRealScale, setUseRealScale] = useState(true);
   const [roughness,    setRoughness]    = useState(0.7);
   const [metalness,    setMetalness]    = useState(0.05);
+  const [useProductFinish, setUseProductFinish] = useState(true); // tiles use their catalog finish, not the sliders
 
   const [showTiledPreview, setShowTiledPreview] = useState(true);
   const [previewRepeat,    setPreviewRepeat]    = useState(4);
@@ -657,31 +4748,52 @@ export default function App() {
   const [detectedParish, setDetectedParish] = useState(""); // from geocode
   const [roadFactor, setRoadFactor] = useState(1.25);       // straight-line -> road estimate
 
+  // Reps' imported models (IndexedDB records with an object URL for this session)
+  const [importedModels, setImportedModels] = useState([]);
+  // Current list for the unmount cleanup (models imported later have URLs of their own)
+  const importedModelsRef = useRef(importedModels);
+  importedModelsRef.current = importedModels;
+  useEffect(() => {
+    loadModelRecords()
+      .then((records) => {
+        setImportedModels(records.map((r) => ({ ...r, url: URL.createObjectURL(r.blob) })));
+      })
+      .catch(() => {
+        // IndexedDB unavailable (private mode): built-in items only
+      });
+    return () => importedModelsRef.current.forEach((m) => URL.revokeObjectURL(m.url));
+  }, []);
+
   // 3D Objects
   const OBJECT_CATALOG = useMemo(() => ([
     // Bedroom
-    { assetId: "bed_queen",   label: "Bed (Queen)",   url: "/models/bed_queen.glb",   category: "Bedroom", modelScale: 1 },
-    { assetId: "nightstand",  label: "Nightstand",    url: "/models/nightstand.glb",  category: "Bedroom", modelScale: 1 },
-    { assetId: "wardrobe",    label: "Wardrobe",      url: "/models/wardrobe.glb",    category: "Bedroom", modelScale: 1 },
+    { assetId: "bed_queen",   label: "Bed (Queen)",   url: "/models/bed_queen.glb",   category: "Bedroom", modelScale: 1, placeholder: "bed" },
+    { assetId: "nightstand",  label: "Nightstand",    url: "/models/nightstand.glb",  category: "Bedroom", modelScale: 1, placeholder: "nightstand" },
+    { assetId: "wardrobe",    label: "Wardrobe",      url: "/models/wardrobe.glb",    category: "Bedroom", modelScale: 1, fixed: true, placeholder: "wardrobe" },
 
     // Living Room
-    { assetId: "sofa_3",      label: "Sofa (3-Seater)", url: "/models/sofa_3.glb",   category: "Living Room", modelScale: 1 },
-    { assetId: "coffee_tbl",  label: "Coffee Table",    url: "/models/coffee_table.glb", category: "Living Room", modelScale: 1 },
+    { assetId: "sofa_3",      label: "Sofa (3-Seater)", url: "/models/sofa_3.glb",   category: "Living Room", modelScale: 1, placeholder: "sofa" },
+    { assetId: "coffee_tbl",  label: "Coffee Table",    url: "/models/coffee_table.glb", category: "Living Room", modelScale: 1, placeholder: "table" },
 
     // Kitchen
-    { assetId: "kitchen_cab", label: "Kitchen Cabinet", url: "/models/kitchen_cabinet.glb", category: "Kitchen", modelScale: 1 },
-    { assetId: "fridge",      label: "Fridge",          url: "/models/fridge.glb",    category: "Kitchen", modelScale: 1 },
+    { assetId: "kitchen_cab", label: "Kitchen Cabinet", url: "/models/kitchen_cabinet.glb", category: "Kitchen", modelScale: 1, fixed: true, placeholder: "cabinet" },
+    { assetId: "fridge",      label: "Fridge",          url: "/models/fridge.glb",    category: "Kitchen", modelScale: 1, placeholder: "fridge" },
 
     // Bathroom
-    { assetId: "toilet",      label: "Toilet",          url: "/models/toilet.glb",    category: "Bathroom", modelScale: 1 },
-    { assetId: "sink",        label: "Sink",            url: "/models/sink.glb",      category: "Bathroom", modelScale: 1 },
-    { assetId: "bathtub",     label: "Bathtub",         url: "/models/bathtub.glb",   category: "Bathroom", modelScale: 1 },
+    { assetId: "toilet",      label: "Toilet",          url: "/models/toilet.glb",    category: "Bathroom", modelScale: 1, placeholder: "toilet" },
+    { assetId: "sink",        label: "Sink",            url: "/models/sink.glb",      category: "Bathroom", modelScale: 1, placeholder: "sink" },
+    { assetId: "bathtub",     label: "Bathtub",         url: "/models/bathtub.glb",   category: "Bathroom", modelScale: 1, fixed: true, placeholder: "tub" },
 
     // Misc
-    { assetId: "plant",       label: "Plant",           url: "/models/plant.glb",     category: "Misc", modelScale: 1 },
-  ]), []);
+    { assetId: "plant",       label: "Plant",           url: "/models/plant.glb",     category: "Misc", modelScale: 1, placeholder: "plant" },
+
+    // Imported by reps
+    ...importedModels.map((m) => importedCatalogItem(m, m.url)),
+  ]), [importedModels]);
 
   const [objects, setObjects] = useState([]); // placed objects in scene
+  // Fixed items (cabinets, baths, built-ins) usually stand on the screed: leave their footprint untiled
+  const [excludeFixedFootprints, setExcludeFixedFootprints] = useState(true);
   const [selectedObjectId, setSelectedObjectId] = useState(null);
   const [transformMode, setTransformMode] = useState("translate"); // translate | rotate | scale
   const [snapEnabled, setSnapEnabled] = useState(true);
@@ -689,6 +4801,36 @@ export default function App() {
   const [snapRdeg, setSnapRdeg] = useState(22.5); // degrees
   const [snapS, setSnapS] = useState(0.1);
   const [orbitEnabled, setOrbitEnabled] = useState(true);
+  // Furniture placement: measured model sizes by URL, wall snapping and the walkway clearance to keep
+  const [modelSizes,      setModelSizes]      = useState({});
+  const [wallSnapEnabled, setWallSnapEnabled] = useState(true);
+  const [clearanceInput,  setClearanceInput]  = useState(""); // roomUnit; blank = 0.6 m
+  // Camera: named views (eased to on every click) and the walkthrough joystick
+  const [cameraView,  setCameraView]  = useState("overview");
+  const [cameraNonce, setCameraNonce] = useState(0);
+  const walkInputRef = useRef({ x: 0, y: 0 });
+  // High-resolution render export (the capture function comes from inside the Canvas)
+  const renderExportRef = useRef(null);
+  const [renderSize, setRenderSize] = useState("uhd");
+  const [exportingSheet, setExportingSheet] = useState(false);
+  // Tile comparison: 2–4 floor tile / grout options drawn side by side or either side of a slider
+  const [compareMode,    setCompareMode]    = useState("off"); // off | side | split
+  const [compareOptions, setCompareOptions] = useState([]); // { id, sku, groutColor, groutMm }
+  const [compareSplit,   setCompareSplit]   = useState(0.5);
+  const mainFloorRef = useRef(null);
+  // Measuring tape and automatic dimension lines
+  const [measuring,             setMeasuring]             = useState(false);
+  const [measurements,          setMeasurements]          = useState([]); // { id, a, b } scene points
+  const [measureUnits,          setMeasureUnits]          = useState("metric"); // metric | imperial
+  const [showWallDimensions,    setShowWallDimensions]    = useState(false);
+  const [showClearanceDimensions, setShowClearanceDimensions] = useState(true);
+  const measureModel = useCallback((url, size) => {
+    setModelSizes((prev) => {
+      const old = prev[url];
+      if (old && Math.abs(old.sizeX - size.sizeX) < 1e-6 && Math.abs(old.sizeZ - size.sizeZ) < 1e-6) return prev;
+      return { ...prev, [url]: size };
+    });
+  }, []);
   const [objectCategory, setObjectCategory] = useState("Bedroom");
 
   // Preload GLTF models (optional; safe if files missing)
@@ -726,6 +4868,7 @@ export default function App() {
       label: asset.label,
       url: asset.url,
       modelScale: asset.modelScale || 1,
+      fixed: !!asset.fixed,
       position: [0, 0, 0],
       rotationY: 0,
       scale: 1,
@@ -734,6 +4877,56 @@ export default function App() {
     setSelectedObjectId(id);
   };
 
+  const addImportedModel = async ({ file, label, category, modelScale, size, fixed }) => {
+    const record = {
+      id: `model-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      label,
+      category,
+      fileName: file.name,
+      blob: file,
+      modelScale,
+      size,
+      fixed,
+      createdAt: new Date().toISOString(),
+    };
+    try {
+      await saveModelRecord(record);
+    } catch {
+      alert("Couldn't store the model on this device (storage full or blocked).");
+      return false;
+    }
+    setImportedModels((prev) => [...prev, { ...record, url: URL.createObjectURL(file) }]);
+    setObjectCategory(category);
+    return true;
+  };
+  // Placed copies stay in the room as stand-in boxes
+  const removeImportedModel = async (id) => {
+    try {
+      await deleteModelRecord(id);
+    } catch {
+      alert("Couldn't remove the model from this device.");
+      return;
+    }
+    setImportedModels((prev) => {
+      prev.filter((m) => m.id === id).forEach((m) => URL.revokeObjectURL(m.url));
+      return prev.filter((m) => m.id !== id);
+    });
+  };
+
+  // Placed objects with this session's URL for imported models (null once the model is deleted)
+  // and the stand-in to show while (or instead of) loading the model
+  const sceneObjects = useMemo(
+    () =>
+      objects.map((o) => {
+        const asset = OBJECT_CATALOG.find((a) => a.assetId === o.assetId);
+        const placeholder = asset?.placeholder || "generic";
+        const standInSize = asset?.standInSize || PLACEHOLDER_FURNITURE[placeholder];
+        const url = o.assetId?.startsWith("model-") ? asset?.url || null : o.url;
+        return { ...o, url, placeholder, standInSize };
+      }),
+    [objects, OBJECT_CATALOG]
+  );
+
   const removeObject = (id) => {
     setObjects((prev) => prev.filter((o) => o.id !== id));
     if (selectedObjectId === id) setSelectedObjectId(null);
@@ -743,6 +4936,254 @@ export default function App() {
     setObjects((prev) => prev.map((o) => (o.id === id ? { ...o, ...patch } : o)));
   };
 
+  // Undo/redo for the 3D editor and the showroom controls
+  const editorHistory = useUndoHistory({
+    objects: [objects, setObjects],
+    tile: [tile, setTile],
+    tileLength: [tileLength, setTileLength],
+    tileWidth: [tileWidth, setTileWidth],
+    tileUnit: [tileUnit, setTileUnit],
+    tilePrice: [tilePrice, setTilePrice],
+    wallTile: [wallTile, setWallTile],
+    wallTileLength: [wallTileLength, setWallTileLength],
+    wallTileWidth: [wallTileWidth, setWallTileWidth],
+    wallTileUnit: [wallTileUnit, setWallTileUnit],
+    wallTilePrice: [wallTilePrice, setWallTilePrice],
+    wallColor: [wallColor, setWallColor],
+    floorPattern: [floorPattern, setFloorPattern],
+    wallPattern: [wallPattern, setWallPattern],
+    previewTarget: [previewTarget, setPreviewTarget],
+    useRealScale: [useRealScale, setUseRealScale],
+    roughness: [roughness, setRoughness],
+    metalness: [metalness, setMetalness],
+    useProductFinish: [useProductFinish, setUseProductFinish],
+    showTiledPreview: [showTiledPreview, setShowTiledPreview],
+    previewRepeat: [previewRepeat, setPreviewRepeat],
+    groutMm: [groutMm, setGroutMm],
+    groutColor: [groutColor, setGroutColor],
+    enhancedLight: [enhancedLight, setEnhancedLight],
+    lightStrength: [lightStrength, setLightStrength],
+    lightSoftness: [lightSoftness, setLightSoftness],
+    lightColor: [lightColor, setLightColor],
+  });
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (text fields keep their own undo)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const t = e.target;
+      if (t.isContentEditable || t.tagName === "TEXTAREA" || (t.tagName === "INPUT" && !["range", "color", "checkbox", "radio"].includes(t.type))) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) editorHistory.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") editorHistory.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // Undo can take away the selected object
+  useEffect(() => {
+    if (selectedObjectId && !objects.some((o) => o.id === selectedObjectId)) setSelectedObjectId(null);
+  }, [objects, selectedObjectId]);
+
+  // Multi-room project: the active room lives in the calculator state above, the others are parked in `rooms`
+  const [projectName,  setProjectName]  = useState("");
+  const [rooms,        setRooms]        = useState([{ id: "room-1", name: "Room 1", state: null }]);
+  const [activeRoomId, setActiveRoomId] = useState("room-1");
+
+  // Per-room calculator state (showroom look, sundries, delivery and customer are shared by the project)
+  const roomFields = {
+    tile: [tile, setTile],
+    wallTile: [wallTile, setWallTile],
+    wallColor: [wallColor, setWallColor],
+    floorPattern: [floorPattern, setFloorPattern],
+    wallPattern: [wallPattern, setWallPattern],
+    floorWastePct: [floorWastePct, setFloorWastePct],
+    wallWastePct: [wallWastePct, setWallWastePct],
+    tileLength: [tileLength, setTileLength],
+    tileWidth: [tileWidth, setTileWidth],
+    tileUnit: [tileUnit, setTileUnit],
+    tilePrice: [tilePrice, setTilePrice],
+    roomLength: [roomLength, setRoomLength],
+    roomWidth: [roomWidth, setRoomWidth],
+    roomUnit: [roomUnit, setRoomUnit],
+    roomShape: [roomShape, setRoomShape],
+    roomOutline: [roomOutline, setRoomOutline],
+    wallHeightInput: [wallHeightInput, setWallHeightInput],
+    wallTilingEnabled: [wallTilingEnabled, setWallTilingEnabled],
+    wallTileLength: [wallTileLength, setWallTileLength],
+    wallTileWidth: [wallTileWidth, setWallTileWidth],
+    wallTileUnit: [wallTileUnit, setWallTileUnit],
+    wallTilePrice: [wallTilePrice, setWallTilePrice],
+    wallTileHeightMode: [wallTileHeightMode, setWallTileHeightMode],
+    wainscotHeight: [wainscotHeight, setWainscotHeight],
+    wallMaterials: [wallMaterials, setWallMaterials],
+    featureWall: [featureWall, setFeatureWall],
+    wallStrips: [wallStrips, setWallStrips],
+    openings: [openings, setOpenings],
+    layoutStart: [layoutStart, setLayoutStart],
+    layoutCorner: [layoutCorner, setLayoutCorner],
+    layoutDoorId: [layoutDoorId, setLayoutDoorId],
+    minCutMm: [minCutMm, setMinCutMm],
+    groutMm: [groutMm, setGroutMm],
+    groutColor: [groutColor, setGroutColor],
+    objects: [objects, setObjects],
+    excludeFixedFootprints: [excludeFixedFootprints, setExcludeFixedFootprints],
+    result: [result, setResult],
+  };
+  const captureRoom = () => Object.fromEntries(Object.entries(roomFields).map(([key, [value]]) => [key, value]));
+  const loadRoom = (state) => {
+    Object.entries(roomFields).forEach(([key, [, set]]) => {
+      if (key in state) set(state[key]);
+    });
+    setSelectedObjectId(null);
+    editorHistory.reset(state);
+  };
+  const activeRoom = rooms.find((r) => r.id === activeRoomId) || rooms[0];
+  // Rooms with the active one's live state written back
+  const roomsWithActive = () => rooms.map((r) => (r.id === activeRoomId ? { ...r, state: captureRoom() } : r));
+
+  const switchRoom = (id) => {
+    const next = rooms.find((r) => r.id === id);
+    if (!next || id === activeRoomId) return;
+    setRooms(roomsWithActive());
+    loadRoom(next.state);
+    setActiveRoomId(id);
+  };
+  const addRoom = () => {
+    const id = `room-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    const state = { ...captureRoom(), ...NEW_ROOM_RESET };
+    setRooms([...roomsWithActive(), { id, name: `Room ${rooms.length + 1}`, state }]);
+    loadRoom(state);
+    setActiveRoomId(id);
+  };
+  const renameRoom = (id, roomName) => {
+    setRooms((prev) => prev.map((r) => (r.id === id ? { ...r, name: roomName } : r)));
+  };
+  const removeRoom = (id) => {
+    const room = rooms.find((r) => r.id === id);
+    if (!room || rooms.length < 2) return;
+    if (!window.confirm(`Remove ${room.name || "this room"} from the project?`)) return;
+    const rest = rooms.filter((r) => r.id !== id);
+    if (id === activeRoomId) {
+      loadRoom(rest[0].state);
+      setActiveRoomId(rest[0].id);
+    }
+    setRooms(rest);
+  };
+
+  // Saved designs (whole project + showroom look), kept on this device
+  const [designs, setDesigns] = useState(() => JSON.parse(localStorage.getItem("showroomDesigns") || "[]"));
+  const [designName, setDesignName] = useState("");
+  const [currentDesignId, setCurrentDesignId] = useState(null);
+
+  // Showroom look saved with a design (per-room state is in roomFields)
+  const showroomFields = {
+    previewTarget: [previewTarget, setPreviewTarget],
+    useRealScale: [useRealScale, setUseRealScale],
+    roughness: [roughness, setRoughness],
+    metalness: [metalness, setMetalness],
+    useProductFinish: [useProductFinish, setUseProductFinish],
+    showTiledPreview: [showTiledPreview, setShowTiledPreview],
+    previewRepeat: [previewRepeat, setPreviewRepeat],
+    enhancedLight: [enhancedLight, setEnhancedLight],
+    lightStrength: [lightStrength, setLightStrength],
+    lightSoftness: [lightSoftness, setLightSoftness],
+    lightColor: [lightColor, setLightColor],
+    sundryInclude: [sundryInclude, setSundryInclude],
+  };
+  const captureDesign = () => ({
+    schemaVersion: DESIGN_VERSION,
+    name: designName.trim() || projectName.trim() || "Untitled design",
+    project: { name: projectName, activeRoomId, rooms: roomsWithActive() },
+    showroom: Object.fromEntries(Object.entries(showroomFields).map(([key, [value]]) => [key, value])),
+  });
+  // The design embedded in an order leaves out each room's computed result; the order already stores it
+  const orderDesign = () => {
+    const design = captureDesign();
+    const rooms = design.project.rooms.map((r) => ({ ...r, state: { ...r.state, result: null } }));
+    return { ...design, project: { ...design.project, rooms }, id: currentDesignId };
+  };
+  // Returns false (after telling the rep) when the design can't be shown
+  const applyDesign = (raw) => {
+    let design;
+    try {
+      design = migrateDesign(raw);
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+    const { project, showroom } = design;
+    const active = project.rooms.find((r) => r.id === project.activeRoomId) || project.rooms[0];
+    setProjectName(project.name || "");
+    setRooms(project.rooms);
+    setActiveRoomId(active.id);
+    loadRoom(active.state);
+    Object.entries(showroomFields).forEach(([key, [, set]]) => {
+      if (key in showroom) set(showroom[key]);
+    });
+    editorHistory.reset(showroom);
+    setDesignName(design.name || "");
+    return true;
+  };
+
+  const saveDesigns = (list) => {
+    try {
+      localStorage.setItem("showroomDesigns", JSON.stringify(list));
+    } catch {
+      alert("Not enough local storage to save this design. Delete or download an older design first.");
+      return false;
+    }
+    setDesigns(list);
+    return true;
+  };
+  // Saving over the open design bumps its revision; a new name saves a new design
+  const saveDesign = () => {
+    const now = new Date().toISOString();
+    const design = captureDesign();
+    const existing = designs.find((d) => d.id === currentDesignId && d.name === design.name);
+    if (existing) {
+      const updated = { ...existing, ...design, revision: existing.revision + 1, savedAt: now };
+      saveDesigns(designs.map((d) => (d.id === existing.id ? updated : d)));
+      return;
+    }
+    const id = newDesignId();
+    if (saveDesigns([...designs, { ...design, id, revision: 1, createdAt: now, savedAt: now, parentId: null }])) {
+      setCurrentDesignId(id);
+      setDesignName(design.name);
+    }
+  };
+  const openDesign = (design) => {
+    if (applyDesign(design)) setCurrentDesignId(design.id || null);
+  };
+  // A variant starts as a copy of the design and is saved straight away under a new name
+  const duplicateDesign = (design) => {
+    const now = new Date().toISOString();
+    const id = newDesignId();
+    const copy = { ...design, id, name: `${design.name} (variant)`, revision: 1, createdAt: now, savedAt: now, parentId: design.id || null };
+    if (saveDesigns([...designs, copy]) && applyDesign(copy)) setCurrentDesignId(id);
+  };
+  const deleteDesign = (id) => {
+    saveDesigns(designs.filter((d) => d.id !== id));
+    if (currentDesignId === id) setCurrentDesignId(null);
+  };
+  const importDesign = async (file) => {
+    if (!file) return;
+    let design;
+    try {
+      design = migrateDesign(JSON.parse(await file.text()));
+    } catch (err) {
+      alert(err instanceof SyntaxError ? "That file isn't valid JSON." : err.message);
+      return;
+    }
+    const now = new Date().toISOString();
+    const id = newDesignId();
+    const imported = { ...design, id, createdAt: design.createdAt || now, savedAt: now };
+    if (saveDesigns([...designs, imported]) && applyDesign(imported)) setCurrentDesignId(id);
+  };
+
   // Customer info
   const [customerName,    setCustomerName]    = useState("");
   const [customerPhone,   setCustomerPhone]   = useState("");
@@ -750,11 +5191,81 @@ export default function App() {
   const [customerAddress, setCustomerAddress] = useState("");
   const [customerNotes,   setCustomerNotes]   = useState("");
 
-  const textures = {
-    Marble: "/textures/marble.jpg",
-    Granite: "/textures/granite.jpg",
-    Porcelain: "/textures/porcelain.jpg",
-    Ceramic: "/textures/ceramic.jpg",
+  const tileProduct     = catalogProduct(tile, catalog);
+  const wallTileProduct = catalogProduct(wallTile, catalog);
+
+  // Surface response for tiled surfaces: the product's finish, or the manual sliders
+  const finishFor = (product) => {
+    const f = productMaterial(product);
+    return useProductFinish ? f : { ...f, roughness, metalness };
+  };
+  const floorFinish = useMemo(() => finishFor(tileProduct), [tileProduct, useProductFinish, roughness, metalness]);
+
+  // Waste allowance as a fraction: the entered % when given, otherwise the layout pattern's default
+  const wasteFraction = (input, pattern) => {
+    const pct = parseFloat(input);
+    return input !== "" && !isNaN(pct) && pct >= 0 ? pct / 100 : patternWaste(pattern);
+  };
+  const floorWaste = wasteFraction(floorWastePct, floorPattern);
+  const wallWaste  = wasteFraction(wallWastePct, wallPattern);
+
+  // Picking a product fills its size and price into the calculator (still editable for specials)
+  const selectFloorProduct = (sku, product = catalogProduct(sku, catalog)) => {
+    const v = productFormValues(product);
+    setTile(sku);
+    setTileLength(v.length);
+    setTileWidth(v.width);
+    setTileUnit(v.unit);
+    setTilePrice(v.price);
+  };
+  const selectWallProduct = (sku, product = catalogProduct(sku, catalog)) => {
+    const v = productFormValues(product);
+    setWallTile(sku);
+    setWallTileLength(v.length);
+    setWallTileWidth(v.width);
+    setWallTileUnit(v.unit);
+    setWallTilePrice(v.price);
+  };
+
+  const saveColourways = (list) => {
+    setColourways(list);
+    localStorage.setItem("tileColourways", JSON.stringify(list));
+  };
+  const addColourway = (surface, spec, label) => {
+    const base = surface === "wall" ? wallTileProduct : tileProduct;
+    const baseSku = base.baseSku || base.sku;
+    const index = 1 + colourways.filter((c) => c.baseSku === baseSku).reduce((max, c) => Math.max(max, c.index), 0);
+    const record = { baseSku, index, name: label, procedural: spec };
+    const product = colourwayProduct(record);
+    saveColourways([...colourways, record]);
+    if (surface === "wall") selectWallProduct(product.sku, product);
+    else selectFloorProduct(product.sku, product);
+  };
+  // Returns false when the browser refuses to store another photo
+  const addCustomTile = (product) => {
+    const list = [...customTiles, product];
+    try {
+      localStorage.setItem("customTiles", JSON.stringify(list));
+    } catch {
+      alert("Not enough local storage for another photo. Remove an older sample first.");
+      return false;
+    }
+    setCustomTiles(list);
+    if (customTileSurface === "wall") selectWallProduct(product.sku, product);
+    else selectFloorProduct(product.sku, product);
+    return true;
+  };
+  const removeCustomTile = (sku) => {
+    const list = customTiles.filter((p) => p.sku !== sku);
+    setCustomTiles(list);
+    localStorage.setItem("customTiles", JSON.stringify(list));
+    if (tile === sku) selectFloorProduct(TILE_CATALOG[0].sku, TILE_CATALOG[0]);
+    if (wallTile === sku) selectWallProduct(TILE_CATALOG[0].sku, TILE_CATALOG[0]);
+  };
+  const removeColourway = (sku) => {
+    saveColourways(colourways.filter((c) => colourwayProduct(c).sku !== sku));
+    if (tile === sku) selectFloorProduct(TILE_CATALOG[0].sku, TILE_CATALOG[0]);
+    if (wallTile === sku) selectWallProduct(TILE_CATALOG[0].sku, TILE_CATALOG[0]);
   };
 
   // Default sales rep + auto-login
@@ -888,70 +5399,455 @@ export default function App() {
     );
   };
 
+  // Room outline in meters, centered on the origin (custom shapes only)
+  const isOutlineRoom = roomShape === "outline" && roomOutline.length >= 3;
+  const roomOutlineM = useMemo(() => {
+    const f = UNIT_TO_METERS[roomUnit] || 1;
+    return centerOutline(roomOutline.map(([x, z]) => [x * f, z * f]));
+  }, [roomOutline, roomUnit]);
+  const outlineBoundsM = useMemo(() => polygonBounds(roomOutlineM), [roomOutlineM]);
+
+  const wallHeightM = convertToMeters(wallHeightInput, roomUnit) || 3;
+  const estimateWalls = useMemo(
+    () =>
+      wallSegmentsFromOutline(
+        isOutlineRoom
+          ? roomOutlineM
+          : rectOutline(convertToMeters(roomWidth, roomUnit) || 0, convertToMeters(roomLength, roomUnit) || 0)
+      ),
+    [isOutlineRoom, roomOutlineM, roomWidth, roomLength, roomUnit]
+  );
+  const wallTiledHeightM =
+    wallTileHeightMode === "wainscot"
+      ? Math.min(wallHeightM, convertToMeters(wainscotHeight, roomUnit) || 1.2)
+      : wallHeightM;
+
+  // Door used for "from a doorway" layouts (falls back to the first door)
+  const layoutDoor = useMemo(() => {
+    const doors = openings.filter((o) => o.type === "door" && estimateWalls[o.wallIndex]);
+    const door = doors.find((o) => o.id === layoutDoorId) || doors[0];
+    if (!door) return null;
+    const wall = estimateWalls[door.wallIndex];
+    return { id: door.id, wall, rect: openingRect(door, wall.length, wallHeightM) };
+  }, [openings, layoutDoorId, estimateWalls, wallHeightM]);
+
+  // Openings editing
+  const addOpening = (type) => {
+    const defaults = OPENING_DEFAULTS[type];
+    const wallLength = estimateWalls[0]?.length || 0;
+    const id = `op-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    setOpenings((prev) => [
+      ...prev,
+      {
+        id,
+        type,
+        wallIndex: 0,
+        offset: roundTo(Math.max(0, (wallLength - defaults.width) / 2), 2),
+        width: defaults.width,
+        height: defaults.height,
+        sill: defaults.sill,
+        depth: defaults.depth ?? 0,
+      },
+    ]);
+  };
+
+  const updateOpening = (id, patch) => {
+    setOpenings((prev) => prev.map((o) => (o.id === id ? { ...o, ...patch } : o)));
+  };
+
+  const removeOpening = (id) => {
+    setOpenings((prev) => prev.filter((o) => o.id !== id));
+  };
+
+  // Per-wall finishes (a feature wall is always tiled, full height)
+  const wallMaterialFor = (index) => ({ mode: "tile", sku: "", color: "", ...(wallMaterials[index] || {}) });
+  const wallIsTiled = (index) => featureWall === index || wallMaterialFor(index).mode === "tile";
+  const wallProductFor = (index) => {
+    const sku = wallMaterialFor(index).sku;
+    return sku ? catalogProduct(sku, catalog) : wallTileProduct;
+  };
+  const updateWallMaterial = (index, patch) => {
+    setWallMaterials((prev) => ({ ...prev, [index]: { ...wallMaterialFor(index), ...patch } }));
+  };
+
+  // Decorative strips
+  const addWallStrip = (type) => {
+    const d = STRIP_TYPES[type];
+    const id = `st-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    const bottom = type === "chairRail" ? 0.9 : roundTo(Math.max(0.1, wallTiledHeightM - d.heightMm / 1000), 2);
+    setWallStrips((prev) => [...prev, { id, type, bottom, color: d.color, pieceMm: d.pieceMm, price: d.price, wallIndex: null }]);
+  };
+  const updateWallStrip = (id, patch) => {
+    setWallStrips((prev) => prev.map((st) => (st.id === id ? { ...st, ...patch } : st)));
+  };
+  const removeWallStrip = (id) => {
+    setWallStrips((prev) => prev.filter((st) => st.id !== id));
+  };
+
   // Calculator (extended with thinset + delivery)
+  // Delivery as quoted now, with the store and auto-distance details behind it
+  const deliveryDetails = () => ({
+    method: deliveryMethod,
+    isNewParish,
+    miles: parseFloat(deliveryMiles) || 0, // within parish: total miles; new parish: miles inside new parish
+    cost: computeDeliveryCost(deliveryMethod, deliveryMiles, isNewParish),
+    // Auto-distance enrichments
+    store: {
+      id: selectedStore.id,
+      name: selectedStore.name,
+      parish: selectedStore.parish,
+      lat: selectedStore.lat,
+      lon: selectedStore.lon,
+    },
+    auto: {
+      totalMilesEstimate: autoTotalMiles || 0,
+      detectedParish: detectedParish || "",
+      roadFactor,
+    },
+  });
+
   const handleCalculate = () => {
     const tLength = convertToMeters(tileLength, tileUnit);
     const tWidth  = convertToMeters(tileWidth,  tileUnit);
-    const rLength = convertToMeters(roomLength, roomUnit);
-    const rWidth  = convertToMeters(roomWidth,  roomUnit);
+    const rLength = isOutlineRoom ? outlineBoundsM.depth : convertToMeters(roomLength, roomUnit);
+    const rWidth  = isOutlineRoom ? outlineBoundsM.width : convertToMeters(roomWidth,  roomUnit);
     const price   = parseFloat(tilePrice);
 
     if (!tLength || !tWidth || !rLength || !rWidth || !price) {
       alert("Please enter all values correctly");
       return;
     }
+    if (isOutlineRoom && polygonSelfIntersects(roomOutlineM)) {
+      alert("The room outline has walls that cross each other. Please fix the outline first.");
+      return;
+    }
 
     const tileArea = tLength * tWidth;      // m² per tile
-    const roomArea = rLength * rWidth;      // m² total
-    const tilesNeeded   = Math.ceil(roomArea / tileArea);
-    const tileTotalCost = tilesNeeded * price;
+    const roomArea = isOutlineRoom ? polygonArea(roomOutlineM) : rLength * rWidth; // m² total
+
+    // Floor left untiled under fixed items (placement keeps them inside the room and apart)
+    const fixedItems = excludeFixedFootprints
+      ? sceneObjects
+          .filter((o) => o.fixed)
+          .map((o) => {
+            const fp = objectFootprint(o, modelSizes[o.url]);
+            return { id: o.id, label: o.label, widthM: fp.hx * 2, depthM: fp.hz * 2, areaM2: 4 * fp.hx * fp.hz };
+          })
+      : [];
+    const fixedAreaM2 = Math.min(roomArea, fixedItems.reduce((sum, f) => sum + f.areaM2, 0));
+    const tiledArea = roomArea - fixedAreaM2;
+
+    // Cut plan: lay the real tile grid from the chosen start and classify full vs. cut pieces
+    const floorOutline = isOutlineRoom ? roomOutlineM : rectOutline(rWidth, rLength);
+    const minCutM = Math.max(0, parseFloat(minCutMm) || 0) / 1000;
+    const gridOrigin = layoutGridOrigin(floorOutline, tWidth, tLength, layoutStart, layoutCorner, layoutDoor);
+    const plan = planFloorCuts(
+      floorOutline,
+      tWidth,
+      tLength,
+      gridOrigin,
+      minCutM,
+      floorOutline.map((_, i) => wallLabel(i, !isOutlineRoom))
+    );
+    const cutWarnings = [];
+    if (layoutStart === "doorway" && !layoutDoor) cutWarnings.push("No door placed — layout was centered instead.");
+    if (!plan) cutWarnings.push("Room too large for a tile-by-tile cut plan; quantities use area only.");
+    if (plan && fixedItems.length) {
+      cutWarnings.push("Cut plan covers the whole floor; tiles under fixed items are not taken off it.");
+    }
+    if (plan && floorPattern !== "straight") {
+      cutWarnings.push(`Cut plan is based on the tile grid; ${LAYOUT_PATTERNS[floorPattern].label} cuts will differ on site.`);
+    }
+    plan?.walls
+      .filter((w) => w.slivers > 0)
+      .forEach((w) => {
+        cutWarnings.push(
+          `${w.label}: ${w.slivers} sliver cut(s) under ${Math.round(minCutM * 1000)} mm (smallest ${w.minCutMm} mm). Try another layout start.`
+        );
+      });
+    const cutPlan = {
+      start: layoutStart,
+      corner: layoutStart === "corner" ? layoutCorner : null,
+      doorId: layoutStart === "doorway" ? layoutDoor?.id || null : null,
+      origin: gridOrigin,
+      tileMm: { width: Math.round(tWidth * 1000), length: Math.round(tLength * 1000) },
+      minCutMm: Math.round(minCutM * 1000),
+      pattern: floorPattern,
+      fullTiles: plan?.fullTiles ?? null,
+      cutTiles: plan?.cutTiles ?? null,
+      slivers: plan?.slivers ?? 0,
+      walls: plan?.walls || [],
+      cutList: plan?.cutList || [],
+      warnings: cutWarnings,
+    };
+
+    // Every cut piece uses up a tile, so a grid layout never needs fewer than full + cut tiles
+    const layoutTiles = plan && floorPattern === "straight" && !fixedItems.length ? plan.fullTiles + plan.cutTiles : 0;
+    const tilesNeeded   = Math.max(Math.ceil((tiledArea / tileArea) * (1 + floorWaste)), layoutTiles);
+    // Priced on whole boxes, not on the raw count
+    const floorBoxes    = boxQuantity(
+      tilesNeeded,
+      productMatchesSize(tileProduct, tLength, tWidth) ? tileProduct.piecesPerBox : 1,
+      tileArea
+    );
+    const tileTotalCost = floorBoxes.pieces * price;
 
     // Thinset: 1 (50 lb bag) covers 50 ft² at $1,500 per bag
     const roomAreaSqFt = roomArea * 10.7639;
+    const tiledAreaSqFt = tiledArea * 10.7639;
     const THINSET_BAG_COVERAGE_SQFT = 50;
     const THINSET_BAG_PRICE         = 1500;
-    const thinsetBags = Math.max(0, Math.ceil(roomAreaSqFt / THINSET_BAG_COVERAGE_SQFT));
+    const thinsetBags = Math.max(0, Math.ceil(tiledAreaSqFt / THINSET_BAG_COVERAGE_SQFT));
     const thinsetCost = thinsetBags * THINSET_BAG_PRICE;
 
-    // Delivery
-    const deliveryCostNow = computeDeliveryCost(deliveryMethod, deliveryMiles, isNewParish);
+    // Wall tiling: per-wall width × tiled height, counted wall by wall (offcuts rarely carry across corners)
+    let wall = null;
+    if (wallTilingEnabled) {
+      const wtLength = convertToMeters(wallTileLength, wallTileUnit);
+      const wtWidth  = convertToMeters(wallTileWidth,  wallTileUnit);
+      const wPrice   = parseFloat(wallTilePrice);
+      if (!wtLength || !wtWidth || !wPrice) {
+        alert("Please enter the wall tile size and price, or untick wall tiling.");
+        return;
+      }
+
+      const roomWalls = wallSegmentsFromOutline(isOutlineRoom ? roomOutlineM : rectOutline(rWidth, rLength));
+      // Tile on each wall: the wall tile entered above, or the catalog tile picked for that wall
+      const defaultWallTile = {
+        key: "default",
+        product: wallTileProduct,
+        lengthM: wtLength,
+        widthM: wtWidth,
+        price: wPrice,
+        tileDimensions: { length: wallTileLength, width: wallTileWidth, unit: wallTileUnit },
+      };
+      const wallTileFor = (index) => {
+        if (!wallMaterialFor(index).sku) return defaultWallTile;
+        const p = wallProductFor(index);
+        const v = productFormValues(p);
+        return {
+          key: p.sku,
+          product: p,
+          lengthM: p.lengthMm / 1000,
+          widthM: p.widthMm / 1000,
+          price: p.pricePerTile,
+          tileDimensions: { length: v.length, width: v.width, unit: v.unit },
+        };
+      };
+      const walls = roomWalls
+        .map((w, index) => ({ index, w }))
+        .filter(({ index }) => wallIsTiled(index))
+        .map(({ index, w }) => {
+          const t = wallTileFor(index);
+          const feature = featureWall === index;
+          const tiledHeightM = feature ? wallHeightM : wallTiledHeightM;
+          const grossAreaM2 = w.length * tiledHeightM;
+          // Openings only reduce the tiled band they overlap; niche returns and backs are tiled too
+          let openingsAreaM2 = 0;
+          let nicheLiningM2 = 0;
+          // Exposed tile edges: the top of a wainscot band, plus opening edges inside the band
+          let trimM = tiledHeightM < wallHeightM - 1e-6 ? w.length : 0;
+          openings
+            .filter((o) => o.wallIndex === index)
+            .forEach((o) => {
+              const r = openingRect(o, w.length, wallHeightM);
+              const overlapH = Math.max(0, Math.min(r.y1, tiledHeightM) - r.y0);
+              const width = r.x1 - r.x0;
+              openingsAreaM2 += width * overlapH;
+              if (overlapH > 0) {
+                trimM += 2 * overlapH + (r.y0 > 0 ? width : 0) + (r.y1 < tiledHeightM ? width : 0);
+              }
+              if (o.type === "niche" && overlapH > 0) {
+                const depth = Number(o.depth) || 0;
+                nicheLiningM2 += width * overlapH + 2 * (width + overlapH) * depth;
+              }
+            });
+          const areaM2 = Math.max(0, grossAreaM2 - openingsAreaM2) + nicheLiningM2;
+          return {
+            index,
+            label: wallLabel(index, !isOutlineRoom),
+            tileKey: t.key,
+            sku: t.product.sku,
+            productName: t.product.name,
+            feature,
+            widthM: w.length,
+            heightM: tiledHeightM,
+            grossAreaM2,
+            openingsAreaM2,
+            nicheLiningM2,
+            trimM,
+            areaM2,
+            tiles: Math.ceil((areaM2 / (t.lengthM * t.widthM)) * (1 + wallWaste)),
+          };
+        });
+
+      if (!walls.length) {
+        alert("Set at least one wall to tile, or untick wall tiling.");
+        return;
+      }
+
+      // One line per wall tile product, rounded to whole boxes
+      const lines = [];
+      walls.forEach((w) => {
+        let line = lines.find((l) => l.key === w.tileKey);
+        if (!line) {
+          const t = wallTileFor(w.index);
+          line = {
+            key: t.key,
+            product: productSnapshot(t.product),
+            tileDimensions: t.tileDimensions,
+            tilePrice: t.price,
+            lengthM: t.lengthM,
+            widthM: t.widthM,
+            piecesPerBox: productMatchesSize(t.product, t.lengthM, t.widthM) ? t.product.piecesPerBox : 1,
+            walls: [],
+            areaM2: 0,
+            tilesNeeded: 0,
+          };
+          lines.push(line);
+        }
+        line.walls.push(w.index);
+        line.areaM2 += w.areaM2;
+        line.tilesNeeded += w.tiles;
+      });
+      lines.forEach((l) => {
+        l.boxes = boxQuantity(l.tilesNeeded, l.piecesPerBox, l.lengthM * l.widthM);
+        l.totalCost = l.boxes.pieces * l.tilePrice;
+      });
+
+      const wallAreaM2 = walls.reduce((sum, w) => sum + w.areaM2, 0);
+      const openingsAreaM2 = walls.reduce((sum, w) => sum + w.openingsAreaM2, 0);
+      const wallTilesNeeded = walls.reduce((sum, w) => sum + w.tiles, 0);
+      const wallAreaSqFt = wallAreaM2 * 10.7639;
+      const adhesiveBags = Math.max(0, Math.ceil(wallAreaSqFt / THINSET_BAG_COVERAGE_SQFT));
+
+      wall = {
+        pattern: wallPattern,
+        wasteFactor: wallWaste,
+        heightMode: wallTileHeightMode,
+        tiledHeightM: wallTiledHeightM,
+        wallHeightM,
+        featureWall,
+        walls,
+        lines,
+        openingsAreaM2,
+        areaM2: wallAreaM2,
+        areaSqFt: wallAreaSqFt,
+        tilesNeeded: wallTilesNeeded,
+        totalCost: lines.reduce((sum, l) => sum + l.totalCost, 0),
+        adhesiveBags,
+        adhesiveCost: adhesiveBags * THINSET_BAG_PRICE,
+      };
+    }
+
+    // Sundries: grout, spacers and sealer for every tiled surface; trim at door thresholds and wall edges
+    const sundrySurface = (product, areaM2, tiles, lengthM, widthM) => ({
+      areaM2,
+      tiles,
+      lengthMm: lengthM * 1000,
+      widthMm: widthM * 1000,
+      thicknessMm: product.thicknessMm,
+      naturalStone: NATURAL_STONE_COLLECTIONS.includes(product.collection),
+    });
+    const thresholdM = openings.filter((o) => o.type === "door" && estimateWalls[o.wallIndex]).reduce((sum, o) => sum + (Number(o.width) || 0), 0);
+    const sundries = estimateSundries({
+      surfaces: [
+        sundrySurface(tileProduct, tiledArea, tilesNeeded, tLength, tWidth),
+        ...(wall ? wall.lines.map((l) => sundrySurface(l.product, l.areaM2, l.tilesNeeded, l.lengthM, l.widthM)) : []),
+      ],
+      jointMm: Math.max(0, Number(groutMm) || 0),
+      trimM: thresholdM + (wall ? wall.walls.reduce((sum, w) => sum + w.trimM, 0) : 0),
+      include: sundryInclude,
+    });
 
-    // Grand total includes tile + thinset + delivery
-    const grandTotal = tileTotalCost + thinsetCost + deliveryCostNow;
+    // Decorative strips: linear metres round the chosen walls, less openings, in whole pieces
+    const stripWalls = wallSegmentsFromOutline(isOutlineRoom ? roomOutlineM : rectOutline(rWidth, rLength));
+    const strips = wallStrips.map((st) => {
+      const d = STRIP_TYPES[st.type];
+      const bottom = Number(st.bottom) || 0;
+      const top = bottom + d.heightMm / 1000;
+      const linearM = stripWalls
+        .map((w, index) => ({ w, index }))
+        .filter(({ index }) => st.wallIndex == null || st.wallIndex === index)
+        .reduce((sum, { w, index }) => {
+          const rects = openings.filter((o) => o.wallIndex === index).map((o) => openingRect(o, w.length, wallHeightM));
+          return sum + stripRuns(w.length, rects, bottom, top).reduce((len, [a, b]) => len + (b - a), 0);
+        }, 0);
+      const pieceM = Math.max(0.01, (Number(st.pieceMm) || d.pieceMm) / 1000);
+      const pieces = Math.ceil((linearM * (1 + STRIP_WASTE)) / pieceM);
+      const price = Math.max(0, Number(st.price) || 0);
+      return {
+        id: st.id,
+        type: st.type,
+        label: d.label,
+        wallIndex: st.wallIndex,
+        bottomM: bottom,
+        heightMm: d.heightMm,
+        color: st.color,
+        linearM,
+        pieceMm: pieceM * 1000,
+        pieces,
+        price,
+        cost: pieces * price,
+      };
+    });
+    const stripsCost = strips.reduce((sum, st) => sum + st.cost, 0);
+
+    // Delivery
+    const delivery = deliveryDetails();
+    const deliveryCostNow = delivery.cost;
+
+    // Grand total includes floor tile + thinset + wall tile + wall adhesive + strips + sundries + delivery
+    const grandTotal =
+      tileTotalCost +
+      thinsetCost +
+      (wall ? wall.totalCost + wall.adhesiveCost : 0) +
+      stripsCost +
+      sundries.total +
+      deliveryCostNow;
 
     setResult({
+      product: productSnapshot(tileProduct),
+      tilePrice: price,
       tilesNeeded,
+      boxes: floorBoxes,
       totalCost: tileTotalCost,
       roomAreaM2: roomArea,
       roomAreaSqFt,
+      tiledAreaM2: tiledArea,
+      tiledAreaSqFt,
+      fixedItems,
+      fixedAreaM2,
+      roomShape,
+      pattern: floorPattern,
+      wasteFactor: floorWaste,
+      cutPlan,
+      roomPerimeterM: isOutlineRoom ? polygonPerimeter(roomOutlineM) : 2 * (rLength + rWidth),
       thinsetBags,
       thinsetBagCoverageSqFt: THINSET_BAG_COVERAGE_SQFT,
       thinsetBagPrice: THINSET_BAG_PRICE,
       thinsetCost,
+      wall,
+      strips,
+      stripsCost,
+      sundries,
       // Delivery details
-      delivery: {
-        method: deliveryMethod,
-        isNewParish,
-        miles: parseFloat(deliveryMiles) || 0, // within parish: total miles; new parish: miles inside new parish
-        cost: deliveryCostNow,
-        // Auto-distance enrichments
-        store: {
-          id: selectedStore.id,
-          name: selectedStore.name,
-          parish: selectedStore.parish,
-          lat: selectedStore.lat,
-          lon: selectedStore.lon,
-        },
-        auto: {
-          totalMilesEstimate: autoTotalMiles || 0,
-          detectedParish: detectedParish || "",
-          roadFactor,
-        },
-      },
+      delivery,
       grandTotal,
     });
   };
 
+  // Consolidated quote across the project's rooms (once there is more than one)
+  const projectQuote = useMemo(
+    () =>
+      rooms.length > 1
+        ? consolidateProject(
+            rooms.map((r) => ({ name: r.name, result: r.id === activeRoomId ? result : r.state?.result || null }))
+          )
+        : null,
+    [rooms, activeRoomId, result]
+  );
+
   // IDs
   const generateOrderId = () => {
     const timestamp  = Date.now().toString(36);
@@ -970,6 +5866,131 @@ export default function App() {
     return ticket;
   };
 
+  const customerDetails = () => ({
+    name: customerName.trim(),
+    phone: customerPhone.trim(),
+    email: customerEmail.trim(),
+    address: customerAddress.trim(),
+    notes: customerNotes.trim(),
+  });
+  const saveOrder = (order) => {
+    const updatedOrders = [...orders, order];
+    try {
+      localStorage.setItem("orders", JSON.stringify(updatedOrders));
+    } catch {
+      alert("Not enough local storage to save this order. Delete or download older designs, then place the order again.");
+      return false;
+    }
+    setOrders(updatedOrders);
+    return true;
+  };
+  // Optional: clear customer fields after placing order
+  const clearCustomer = () => {
+    setCustomerName("");
+    setCustomerPhone("");
+    setCustomerEmail("");
+    setCustomerAddress("");
+    setCustomerNotes("");
+  };
+
+  // One order for the whole project: consolidated lines, one delivery, and every room's own calculation
+  const placeProjectOrder = () => {
+    if (projectQuote.missing.length) {
+      alert(`Please calculate every room first (not calculated: ${projectQuote.missing.join(", ")}).`);
+      return;
+    }
+    const q = projectQuote;
+    const delivery = deliveryDetails();
+    const grandTotal = q.materialsTotal + delivery.cost;
+    const productNames = (surface) =>
+      q.tiles.filter((l) => l.surfaces.includes(surface)).map((l) => l.product.name).join(" + ") || "—";
+
+    const order = {
+      orderId: generateOrderId(),
+      ticketNumber: generateTicketNumber(),
+      salesRep: loggedInUser.name,
+      employeeId: loggedInUser.employeeId,
+      customer: customerDetails(),
+      project: {
+        name: projectName.trim() || `${customerName.trim()} project`,
+        rooms: q.rooms,
+        roomsTotal: q.roomsTotal,
+        savings: q.savings,
+      },
+      tile: productNames("floor"),
+      wallTile: productNames("wall"),
+      // One line per product across all rooms, in whole boxes
+      lines: [
+        ...q.tiles.map((l) => ({
+          surface: l.surfaces.join("+"),
+          ...l.product,
+          rooms: l.rooms,
+          tilesNeeded: l.tilesNeeded,
+          boxes: l.boxes.boxes,
+          quantity: l.boxes.pieces,
+          unitPrice: l.unitPrice,
+          lineTotal: l.totalCost,
+        })),
+        ...q.strips.map((st) => ({
+          surface: "strip",
+          sku: `STRIP-${st.type}`,
+          name: st.label,
+          linearM: st.linearM,
+          quantity: st.pieces,
+          unitPrice: st.price,
+          lineTotal: st.cost,
+        })),
+      ],
+      tilesNeeded: q.tilesNeeded,
+      totalCost: q.tilesCost,
+      thinset: { bags: q.thinset.bags, bagPrice: q.thinset.bagPrice, cost: q.thinset.cost },
+      strips: q.strips,
+      stripsCost: q.stripsCost,
+      sundries: q.sundries,
+      // Each room as calculated (dimensions, finishes and openings live in its result and state)
+      rooms: roomsWithActive().map((r) => ({
+        name: r.name,
+        roomDimensions: {
+          length: r.state.roomLength,
+          width: r.state.roomWidth,
+          unit: r.state.roomUnit,
+          shape: r.state.roomShape,
+          outline: r.state.roomShape === "outline" ? r.state.roomOutline : null,
+        },
+        wallFinishes: { materials: r.state.wallMaterials, featureWall: r.state.featureWall },
+        openings: r.state.openings,
+        result: r.state.result,
+      })),
+      delivery,
+      grandTotal,
+      design: orderDesign(),
+      createdAt: new Date().toISOString(),
+    };
+    if (!saveOrder(order)) return;
+
+    alert(
+      `✅ Project Order Created!\n` +
+        `Ticket: ${order.ticketNumber}\n` +
+        `Order ID: ${order.orderId}\n` +
+        `Customer: ${order.customer.name} (${order.customer.phone})\n` +
+        `Sales Rep: ${order.salesRep} | ${order.employeeId}\n` +
+        `Project: ${order.project.name} — ${q.rooms.map((r) => r.name).join(", ")}\n` +
+        q.tiles
+          .map(
+            (l) =>
+              `${l.product.sku} ${l.product.name}: ${l.tilesNeeded} tiles → ${l.boxes.boxes} box(es) / ${l.boxes.pieces} pcs = $${Number(l.totalCost).toFixed(2)}\n`
+          )
+          .join("") +
+        `Thinset / adhesive: ${q.thinset.bags} bag(s) = $${Number(q.thinset.cost).toFixed(2)}\n` +
+        q.strips.map((st) => `${st.label}: ${st.linearM.toFixed(2)} m → ${st.pieces} pcs = $${Number(st.cost).toFixed(2)}\n`).join("") +
+        q.sundries.items.map((i) => `${i.label}: ${i.quantity} × ${i.pack} = $${Number(i.cost).toFixed(2)}\n`).join("") +
+        (delivery.method === "delivery" ? `Delivery: $${Number(delivery.cost).toFixed(2)}\n` : `Delivery: Pickup\n`) +
+        (q.savings > 0 ? `Saved by combining rooms: $${q.savings.toFixed(2)}\n` : "") +
+        `Grand Total: $${Number(grandTotal).toFixed(2)}`
+    );
+    clearCustomer();
+  };
+
   const handlePlaceOrder = () => {
     if (!result) {
       alert("Please calculate tiles and cost first.");
@@ -990,13 +6011,25 @@ export default function App() {
         return;
       }
     }
+    if (projectQuote) {
+      placeProjectOrder();
+      return;
+    }
 
     const {
+      product = null,
       tilesNeeded,
+      boxes = null,
+      wasteFactor = null,
       totalCost,
       thinsetBags = 0,
       thinsetCost = 0,
       thinsetBagPrice = 1500,
+      wall = null,
+      strips = [],
+      stripsCost = 0,
+      sundries = null,
+      cutPlan = null,
       delivery = {},
       grandTotal = (totalCost + thinsetCost + (delivery?.cost || 0)),
     } = result;
@@ -1007,36 +6040,80 @@ export default function App() {
       salesRep: loggedInUser.name,
       employeeId: loggedInUser.employeeId,
       // Customer info
-      customer: {
-        name: customerName.trim(),
-        phone: customerPhone.trim(),
-        email: customerEmail.trim(),
-        address: customerAddress.trim(),
-        notes: customerNotes.trim(),
-      },
+      customer: customerDetails(),
       // Selection
-      tile,
-      wallTile,
+      tile: product?.name || tileProduct.name,
+      wallTile: wall ? wall.lines.map((l) => l.product.name).join(" + ") : wallTileProduct.name,
+      // One line per tiled surface: catalog snapshot + the quantity and unit price actually quoted
+      lines: [
+        {
+          surface: "floor",
+          ...(product || productSnapshot(tileProduct)),
+          tilesNeeded,
+          boxes: boxes?.boxes ?? null,
+          quantity: boxes?.pieces ?? tilesNeeded,
+          unitPrice: result.tilePrice ?? parseFloat(tilePrice),
+          lineTotal: totalCost,
+        },
+        ...(wall
+          ? wall.lines.map((l) => ({
+              surface: "wall",
+              ...l.product,
+              walls: l.walls,
+              tilesNeeded: l.tilesNeeded,
+              boxes: l.boxes.boxes,
+              quantity: l.boxes.pieces,
+              unitPrice: l.tilePrice,
+              lineTotal: l.totalCost,
+            }))
+          : []),
+        ...strips.map((st) => ({
+          surface: "strip",
+          sku: `STRIP-${st.type}`,
+          name: st.label,
+          linearM: st.linearM,
+          quantity: st.pieces,
+          unitPrice: st.price,
+          lineTotal: st.cost,
+        })),
+      ],
+      layout: { floor: floorPattern, wall: wallPattern },
       tileDimensions: { length: tileLength, width: tileWidth, unit: tileUnit },
       tilePrice,
-      roomDimensions: { length: roomLength, width: roomWidth, unit: roomUnit },
+      roomDimensions: {
+        length: isOutlineRoom ? String(roundTo(outlineBoundsM.depth / (UNIT_TO_METERS[roomUnit] || 1), 2)) : roomLength,
+        width: isOutlineRoom ? String(roundTo(outlineBoundsM.width / (UNIT_TO_METERS[roomUnit] || 1), 2)) : roomWidth,
+        unit: roomUnit,
+        shape: roomShape,
+        outline: isOutlineRoom ? roomOutline : null,
+      },
       // Calculations
       tilesNeeded,
+      wasteFactor,
+      boxes,
       totalCost,
       thinset: {
         bags: thinsetBags,
         bagPrice: thinsetBagPrice,
         cost: thinsetCost,
       },
+      wallTiling: wall,
+      wallFinishes: { materials: wallMaterials, featureWall },
+      untiled: result.fixedItems?.length ? { items: result.fixedItems, areaM2: result.fixedAreaM2 } : null,
+      strips,
+      stripsCost,
+      sundries,
+      openings,
+      cutPlan,
       // Delivery (includes store + auto info)
       delivery,
       grandTotal,
+      // The showroom design as sold, so it can be reopened from the order history
+      design: orderDesign(),
       createdAt: new Date().toISOString(),
     };
 
-    const updatedOrders = [...orders, order];
-    setOrders(updatedOrders);
-    localStorage.setItem("orders", JSON.stringify(updatedOrders));
+    if (!saveOrder(order)) return;
 
     const deliveryLine =
       delivery?.method === "delivery"
@@ -1049,21 +6126,39 @@ export default function App() {
         `Order ID: ${order.orderId}\n` +
         `Customer: ${order.customer.name} (${order.customer.phone})\n` +
         `Sales Rep: ${order.salesRep} | ${order.employeeId}\n` +
+        order.lines
+          .filter((l) => l.surface !== "strip")
+          .map((l) => `${l.surface === "wall" ? "Wall" : "Floor"}: ${l.sku} ${l.name} (${l.nominalSize}, ${l.finish})\n`)
+          .join("") +
+        (result.fixedItems?.length
+          ? `Untiled under fixed items: ${result.fixedAreaM2.toFixed(2)} m² (${result.fixedItems.map((f) => f.label).join(", ")})\n`
+          : "") +
         `Tiles Needed: ${tilesNeeded}\n` +
+        (boxes ? `Boxes: ${boxes.boxes} (${boxes.pieces} pcs, ${boxes.m2Covered.toFixed(2)} m², ${boxes.leftoverPieces} spare)\n` : "") +
+        (cutPlan?.fullTiles != null ? `Cut plan: ${cutPlan.fullTiles} full / ${cutPlan.cutTiles} cut tiles${cutPlan.slivers ? ` (${cutPlan.slivers} slivers!)` : ""}\n` : "") +
         `Tile Cost: $${Number(totalCost).toFixed(2)}\n` +
         `Thinset: ${thinsetBags} bag(s) x $${thinsetBagPrice.toLocaleString()} = $${Number(thinsetCost).toFixed(2)}\n` +
+        (wall
+          ? wall.lines
+              .map(
+                (l) =>
+                  `Wall Tiles (${l.product.name}): ${l.tilesNeeded} (${l.areaM2.toFixed(2)} m²) → ${l.boxes.boxes} box(es) / ${l.boxes.pieces} pcs = $${Number(l.totalCost).toFixed(2)}\n`
+              )
+              .join("") + `Wall Adhesive: ${wall.adhesiveBags} bag(s) = $${Number(wall.adhesiveCost).toFixed(2)}\n`
+          : "") +
+        strips
+          .map((st) => `${st.label}: ${st.linearM.toFixed(2)} m → ${st.pieces} pcs = $${Number(st.cost).toFixed(2)}\n`)
+          .join("") +
+        (sundries?.items || [])
+          .map((i) => `${i.label}: ${i.quantity} × ${i.pack} = $${Number(i.cost).toFixed(2)}\n`)
+          .join("") +
         (delivery?.store ? `Store: ${delivery.store.name} (${delivery.store.parish})\n` : "") +
         (delivery?.auto?.totalMilesEstimate ? `Auto distance (est): ${delivery.auto.totalMilesEstimate.toFixed(1)} mi${delivery?.auto?.detectedParish ? ` • Dest parish: ${delivery.auto.detectedParish}` : ""}\n` : "") +
         deliveryLine +
         `Grand Total: $${Number(grandTotal).toFixed(2)}`
     );
 
-    // Optional: clear customer fields after placing order
-    setCustomerName("");
-    setCustomerPhone("");
-    setCustomerEmail("");
-    setCustomerAddress("");
-    setCustomerNotes("");
+    clearCustomer();
   };
 
   const handleRegister = (e) => {
@@ -1115,10 +6210,13 @@ export default function App() {
   };
 
   // Compute dimensions
-  const roomWm  = convertToMeters(roomWidth,  roomUnit) || 10;
-  const roomLm  = convertToMeters(roomLength, roomUnit) || 10;
+  const roomWm  = (isOutlineRoom ? outlineBoundsM.width : convertToMeters(roomWidth,  roomUnit)) || 10;
+  const roomLm  = (isOutlineRoom ? outlineBoundsM.depth : convertToMeters(roomLength, roomUnit)) || 10;
   const tileWm  = convertToMeters(tileWidth,  tileUnit) || 0.3;
   const tileLm  = convertToMeters(tileLength, tileUnit) || 0.3;
+  // Wall grout follows the wall tile size when one is entered
+  const wallTileWm = (wallTilingEnabled && convertToMeters(wallTileWidth,  wallTileUnit)) || tileWm;
+  const wallTileLm = (wallTilingEnabled && convertToMeters(wallTileLength, wallTileUnit)) || tileLm;
 
   const repeatsXReal = Math.max(1, Math.round(roomWm / tileWm));
   const repeatsYReal = Math.max(1, Math.round(roomLm / tileLm));
@@ -1129,28 +6227,261 @@ export default function App() {
 
   const floorSizeX = useRealScale ? roomWm : 10;
   const floorSizeY = useRealScale ? roomLm : 10;
-  const wallHeight = 3;
+  const wallHeight = useRealScale ? wallHeightM : 3;
+  // Tiled band on each wall (full height, or wainscot height when wall tiling is estimated that way),
+  // in scene units: the fixed preview stretches the real wall height to 3
+  const wallTileBand = wallTilingEnabled ? Math.min(wallHeight, wallTiledHeightM * (wallHeight / wallHeightM)) : wallHeight;
 
   const camX = Math.max(5, floorSizeX);
   const camY = Math.max(3, wallHeight);
   const camZ = Math.max(5, floorSizeY);
 
-  const floorGroutAllowed = repeatX * repeatY <= 900;
+  // Outline used by the 3D scene (stretched to the 10 × 10 preview box in fixed mode)
+  const sceneOutline = useMemo(() => {
+    if (!isOutlineRoom) return rectOutline(floorSizeX, floorSizeY);
+    return useRealScale ? roomOutlineM : fitOutlineToBox(roomOutlineM, floorSizeX, floorSizeY);
+  }, [isOutlineRoom, useRealScale, roomOutlineM, floorSizeX, floorSizeY]);
+  const sceneWalls = useMemo(() => wallSegmentsFromOutline(sceneOutline), [sceneOutline]);
+
+  // Openings in scene units (stretched along with the walls in fixed preview mode)
+  const sceneOpenings = useMemo(
+    () =>
+      openings
+        .filter((o) => sceneWalls[o.wallIndex])
+        .map((o) => {
+          const sceneWall = sceneWalls[o.wallIndex];
+          const realLength = estimateWalls[o.wallIndex]?.length || sceneWall.length;
+          const sx = sceneWall.length / realLength;
+          const sy = wallHeight / wallHeightM;
+          const r = openingRect(o, realLength, wallHeightM);
+          return { ...o, rect: { x0: r.x0 * sx, x1: r.x1 * sx, y0: r.y0 * sy, y1: r.y1 * sy } };
+        }),
+    [openings, sceneWalls, estimateWalls, wallHeight, wallHeightM]
+  );
+
+  // Clearance checks: overlaps, narrow walkways and items inside a door swing
+  const placementIssues = useMemo(() => {
+    const items = sceneObjects.map((o) => ({ id: o.id, label: o.label, fp: objectFootprint(o, modelSizes[o.url]) }));
+    const walls = sceneWalls.map((w, i) => ({ ...w, label: wallLabel(i, !isOutlineRoom) }));
+    const doors = sceneOpenings
+      .filter((o) => o.type === "door")
+      .map((o, i) => ({ id: o.id, label: `door ${i + 1} (${walls[o.wallIndex].label.toLowerCase()})`, fp: doorSwingFootprint(sceneWalls[o.wallIndex], o.rect) }));
+    // Walkway gaps only mean something at real scale; the fixed preview stretches the room
+    const clearance = !useRealScale ? 0 : clearanceInput === "" ? 0.6 : convertToMeters(clearanceInput, roomUnit);
+    const issues = clearanceIssues({ items, walls, doors, clearance, units: measureUnits });
+    return {
+      issues,
+      flaggedIds: [...new Set(issues.flatMap((i) => i.ids))],
+      blockedDoors: doors.filter((d) => issues.some((i) => i.doorId === d.id)),
+    };
+  }, [sceneObjects, modelSizes, sceneWalls, sceneOpenings, isOutlineRoom, useRealScale, clearanceInput, roomUnit, measureUnits]);
+
+  // Tape snap targets (room corners and walls, item footprints) and the selected item's gaps to the walls
+  const measureTargets = useMemo(() => {
+    const outlines = sceneObjects.map((o) => footprintCorners(objectFootprint(o, modelSizes[o.url])));
+    return {
+      corners: [...sceneOutline, ...outlines.flat()],
+      edges: [...polygonEdges(sceneOutline), ...outlines.flatMap(polygonEdges)],
+    };
+  }, [sceneObjects, modelSizes, sceneOutline]);
+  const selectedClearances = useMemo(() => {
+    const o = showClearanceDimensions && sceneObjects.find((x) => x.id === selectedObjectId);
+    return o ? wallClearanceLines(objectFootprint(o, modelSizes[o.url]), sceneWalls) : [];
+  }, [showClearanceDimensions, sceneObjects, selectedObjectId, modelSizes, sceneWalls]);
+
+  // Tape measurements belong to the room on screen
+  useEffect(() => {
+    setMeasurements([]);
+  }, [activeRoomId, useRealScale]);
+
+  const cameraGoals = useMemo(
+    () => ({
+      overview: { position: [camX, camY, camZ], target: [0, 0, 0] },
+      ...cameraPresets({ outline: sceneOutline, walls: sceneWalls, openings: sceneOpenings, wallHeight }),
+    }),
+    [camX, camY, camZ, sceneOutline, sceneWalls, sceneOpenings, wallHeight]
+  );
+  const cameraGoal = cameraGoals[cameraView] ? { ...cameraGoals[cameraView], key: cameraNonce } : null;
+  const goToView = (view) => {
+    setCameraView(view);
+    setCameraNonce((n) => n + 1);
+  };
+
+  const exportName = () => designName.trim() || projectName.trim() || activeRoom.name || "design";
+
+  const captureRender = () => {
+    const { width, height } = RENDER_SIZES[renderSize];
+    const canvas = renderExportRef.current?.(width, height);
+    if (!canvas) alert("The 3D scene is still loading — try again in a moment.");
+    return canvas;
+  };
+
+  const downloadRender = () => {
+    const canvas = captureRender();
+    if (canvas) downloadDataUrl(canvas.toDataURL("image/png"), `${exportName()}-render.png`);
+  };
+
+  // Rows for the summary sheet: room, tiles and grout, quote, people
+  const summarySections = () => {
+    const money = (v) => `$${Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const floorAreaM2 = isOutlineRoom ? polygonArea(roomOutlineM) : roomWm * roomLm;
+    const quoteRows = result
+      ? [
+          ["Floor tiles", `${result.tilesNeeded.toLocaleString()} tiles • ${money(result.totalCost)}`],
+          ["Thinset", `${result.thinsetBags} bag(s) • ${money(result.thinsetCost)}`],
+          ...(result.wall ? [["Wall tiling", money(result.wall.totalCost + result.wall.adhesiveCost)]] : []),
+          ...(result.stripsCost > 0 ? [["Trims and borders", money(result.stripsCost)]] : []),
+          ...(result.sundries?.total > 0 ? [["Sundries", money(result.sundries.total)]] : []),
+          ["Delivery", result.delivery?.method === "delivery" ? money(result.delivery.cost) : "Pickup"],
+          ["Room total", money(result.grandTotal)],
+          ...(projectQuote ? [[`Project (${projectQuote.rooms.length} rooms)`, `${money(projectQuote.materialsTotal)} materials`]] : []),
+        ]
+      : [["Quote", "Not calculated yet"]];
+    return [
+      {
+        heading: "Room",
+        rows: [
+          ["Room", activeRoom.name || "Room"],
+          ["Size", `${formatLength(roomWm, measureUnits)} × ${formatLength(roomLm, measureUnits)}${isOutlineRoom ? " (outline)" : ""}`],
+          ["Floor area", `${floorAreaM2.toFixed(2)} m² / ${(floorAreaM2 * 10.7639).toFixed(1)} sq ft`],
+          ["Wall height", formatLength(wallHeightM, measureUnits)],
+        ],
+      },
+      {
+        heading: "Tiles & grout",
+        rows: [
+          ["Floor tile", `${tileProduct.name} (${tileProduct.sku})`],
+          ["Floor size / finish", `${tileProduct.nominalSize} • ${tileProduct.finish}`],
+          ["Floor pattern", LAYOUT_PATTERNS[floorPattern].label],
+          ...(wallTilingEnabled
+            ? [
+                ["Wall tile", `${wallTileProduct.name} (${wallTileProduct.sku})`],
+                ["Wall pattern", LAYOUT_PATTERNS[wallPattern].label],
+              ]
+            : []),
+          ["Grout", `${groutColor.toUpperCase()} • ${groutMm} mm joints`, groutColor],
+        ],
+      },
+      { heading: "Quote", rows: quoteRows },
+      {
+        heading: "Prepared",
+        rows: [
+          ["For", customerName.trim() || "—"],
+          ["By", loggedInUser?.name || "—"],
+          ["Design", exportName()],
+        ],
+      },
+    ];
+  };
+
+  // The one-page sheet as a PNG data URL, or null when there's nothing to render yet
+  const buildSummarySheet = async () => {
+    const render = captureRender();
+    if (!render) return null;
+    const logo = await loadImage(BRAND.logo).catch(() => null);
+    const sheet = drawSummarySheet({
+      render,
+      logo,
+      title: exportName() === activeRoom.name ? exportName() : `${exportName()} — ${activeRoom.name}`,
+      sections: summarySections(),
+      footer: `Illustrative render: colours vary by screen and print. Prices as quoted on ${new Date().toLocaleDateString()}.`,
+    });
+    return sheet.toDataURL("image/png");
+  };
+
+  const exportSummarySheet = async (asPdf) => {
+    setExportingSheet(true);
+    try {
+      const url = await buildSummarySheet();
+      if (!url) return;
+      if (asPdf) printSheet(url, `${exportName()} summary`);
+      else downloadDataUrl(url, `${exportName()}-summary.png`);
+    } finally {
+      setExportingSheet(false);
+    }
+  };
+
+  const toggleMeasuring = () => {
+    if (!measuring) setSelectedObjectId(null);
+    setMeasuring((m) => !m);
+  };
+
+  // Real-scale floors are laid with true-size tiles from the chosen layout start (matches the cut plan)
+  const floorTileSize = useMemo(
+    () => (useRealScale ? [tileWm, tileLm] : [floorSizeX / fixedRepeat, floorSizeY / fixedRepeat]),
+    [useRealScale, tileWm, tileLm, floorSizeX, floorSizeY]
+  );
+  const floorGridOrigin = useMemo(() => {
+    if (!useRealScale) {
+      const b = polygonBounds(sceneOutline);
+      return [b.minX, b.minZ];
+    }
+    return layoutGridOrigin(sceneOutline, tileWm, tileLm, layoutStart, layoutCorner, layoutDoor);
+  }, [useRealScale, sceneOutline, tileWm, tileLm, layoutStart, layoutCorner, layoutDoor]);
 
   // Memoize floor props
   const floorProps = useMemo(
     () => ({
-      tileTexture: textures[tile],
+      tileTexture: tileProduct.maps.color,
+      maps: tileProduct.maps,
+      finish: floorFinish,
+      outline: sceneOutline,
       repeatX,
       repeatY,
       sizeX: floorSizeX,
       sizeY: floorSizeY,
       roughness,
       metalness,
+      pattern: floorPattern,
+      groutMm,
+      groutColor,
+      tileSize: floorTileSize,
+      gridOrigin: floorGridOrigin,
     }),
-    [tile, repeatX, repeatY, floorSizeX, floorSizeY, roughness, metalness]
+    [tile, floorFinish, sceneOutline, repeatX, repeatY, floorSizeX, floorSizeY, roughness, metalness, floorPattern, groutMm, groutColor, floorTileSize, floorGridOrigin]
   );
 
+  // Floor props for one comparison option: its own tile size, layout start and grout
+  const compareFloorProps = (option) => {
+    const product = catalogProduct(option.sku, catalog);
+    const size = useRealScale ? [product.widthMm / 1000, product.lengthMm / 1000] : floorTileSize;
+    return {
+      ...floorProps,
+      tileTexture: product.maps.color,
+      maps: product.maps,
+      finish: finishFor(product),
+      groutColor: option.groutColor,
+      groutMm: option.groutMm,
+      tileSize: size,
+      gridOrigin: useRealScale ? layoutGridOrigin(sceneOutline, size[0], size[1], layoutStart, layoutCorner, layoutDoor) : floorGridOrigin,
+    };
+  };
+  const comparing = compareMode !== "off" && compareOptions.length >= 2;
+  const shownCompareOptions = compareMode === "split" ? compareOptions.slice(0, 2) : compareOptions;
+  const panes = comparing ? comparePanes(shownCompareOptions.length, compareMode, compareSplit) : [];
+
+  // Starting a comparison puts the current floor next to the next floor tile in the catalog
+  const startCompare = (mode) => {
+    setCompareMode(mode);
+    if (mode === "off" || compareOptions.length >= 2) return;
+    const other = catalogProductsFor("floor", catalog).find((p) => p.sku !== tile);
+    setCompareOptions([
+      { id: Date.now(), sku: tile, groutColor, groutMm },
+      { id: Date.now() + 1, sku: other?.sku || tile, groutColor, groutMm },
+    ]);
+  };
+  const updateCompareOption = (id, patch) => setCompareOptions((list) => list.map((o) => (o.id === id ? { ...o, ...patch } : o)));
+  const addCompareOption = () =>
+    setCompareOptions((list) => (list.length >= MAX_COMPARE ? list : [...list, { ...list[list.length - 1], id: Date.now() }]));
+  const removeCompareOption = (id) => setCompareOptions((list) => list.filter((o) => o.id !== id));
+  // The chosen option becomes the room's floor tile (size and price too) and grout, ready to calculate
+  const chooseCompareOption = (option) => {
+    selectFloorProduct(option.sku);
+    setGroutColor(option.groutColor);
+    setGroutMm(option.groutMm);
+    setCompareMode("off");
+  };
+
   // For bounding the draggable overlay
   const canvasContainerRef = useRef(null);
 
@@ -1219,26 +6550,193 @@ export default function App() {
         </div>
       </div>
 
+      {/* Project rooms: the 3D view and calculator show the active room */}
+      <div className="w-full max-w-6xl mb-3 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          value={projectName}
+          onChange={(e) => setProjectName(e.target.value)}
+          placeholder="Project name"
+          className="p-1 px-2 border rounded text-black"
+        />
+        {rooms.map((r) => {
+          const calculated = r.id === activeRoomId ? !!result : !!r.state?.result;
+          return (
+            <button
+              key={r.id}
+              type="button"
+              onClick={() => switchRoom(r.id)}
+              className={`px-3 py-1 rounded ${r.id === activeRoomId ? "bg-white text-purple-800 font-semibold" : "bg-white/20 hover:bg-white/30"}`}
+              title={calculated ? "Calculated" : "Not calculated yet"}
+            >
+              {r.name || "Untitled room"}
+              {calculated ? " ✓" : ""}
+            </button>
+          );
+        })}
+        <button type="button" onClick={addRoom} className="px-3 py-1 rounded border border-white/60 hover:bg-white/20">
+          + Add room
+        </button>
+      </div>
+
       {/* 3D Canvas with draggable overlay controls */}
 <div
   ref={canvasContainerRef}
   className="w-full max-w-6xl h-[75vh] mb-6 bg-white rounded-xl shadow-lg overflow-hidden relative"
+  onPointerDownCapture={editorHistory.beginGesture}
 >
+        {/* Undo / redo */}
+        <div className="absolute top-3 right-3 z-20 flex gap-1 text-sm">
+          <button
+            type="button"
+            onClick={editorHistory.undo}
+            disabled={!editorHistory.canUndo}
+            className="px-2 py-1 rounded bg-white/90 text-black shadow hover:bg-white disabled:opacity-40"
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
+          <button
+            type="button"
+            onClick={editorHistory.redo}
+            disabled={!editorHistory.canRedo}
+            className="px-2 py-1 rounded bg-white/90 text-black shadow hover:bg-white disabled:opacity-40"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </button>
+          <button
+            type="button"
+            onClick={toggleMeasuring}
+            className={`px-2 py-1 rounded shadow ${measuring ? "bg-purple-600 text-white" : "bg-white/90 text-black hover:bg-white"}`}
+            title="Click two points in the room to measure between them"
+          >
+            📏 {measuring ? "Measuring" : "Measure"}
+          </button>
+        </div>
+
+        {/* Camera views */}
+        <div className="absolute bottom-3 left-3 z-20 flex flex-wrap items-center gap-1 text-sm">
+          {Object.entries(CAMERA_VIEWS).map(([view, label]) => (
+            <button
+              key={view}
+              type="button"
+              onClick={() => goToView(view)}
+              disabled={!cameraGoals[view] && view !== "plan" && view !== "walk"}
+              className={`px-2 py-1 rounded shadow disabled:opacity-40 ${
+                cameraView === view ? "bg-purple-600 text-white" : "bg-white/90 text-black hover:bg-white"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {cameraView === "walk" && (
+            <span className="px-2 py-1 rounded bg-black/50 text-white text-xs">
+              W/S or ↑/↓ walk • A/D step aside • ←/→ or drag to look
+            </span>
+          )}
+        </div>
+        {cameraView === "walk" && <TouchJoystick inputRef={walkInputRef} />}
+
+        {/* Tile comparison: a label per pane and the split handle */}
+        {panes.map((pane, i) => {
+          const o = shownCompareOptions[i];
+          const product = catalogProduct(o.sku, catalog);
+          return (
+            <div
+              key={o.id}
+              className="absolute z-10 -translate-x-1/2 flex items-center gap-2 px-2 py-1 rounded bg-white/90 text-black text-xs shadow"
+              style={{ left: `${(pane.clip.x + pane.clip.w / 2) * 100}%`, top: `calc(${pane.clip.y * 100}% + 3rem)` }}
+            >
+              <span className="font-semibold">{String.fromCharCode(65 + i)}</span>
+              <span>{product.name}</span>
+              <span className="inline-block w-3 h-3 rounded border" style={{ background: o.groutColor }} title={`Grout ${o.groutColor}`} />
+              <button type="button" onClick={() => chooseCompareOption(o)} className="underline">
+                Use this
+              </button>
+            </div>
+          );
+        })}
+        {comparing && compareMode === "split" && (
+          <div
+            className="absolute top-0 bottom-0 z-10 w-6 -ml-3 cursor-ew-resize touch-none flex items-center justify-center"
+            style={{ left: `${compareSplit * 100}%` }}
+            onPointerDown={(e) => e.currentTarget.setPointerCapture(e.pointerId)}
+            onPointerMove={(e) => {
+              if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+              const rect = canvasContainerRef.current.getBoundingClientRect();
+              setCompareSplit(Math.min(0.95, Math.max(0.05, (e.clientX - rect.left) / rect.width)));
+            }}
+          >
+            <div className="absolute inset-y-0 w-0.5 bg-white shadow" />
+            <div className="relative w-6 h-6 rounded-full bg-white shadow text-[10px] flex items-center justify-center">⇔</div>
+          </div>
+        )}
+
         {/* Draggable overlay containing showroom controls */}
         <DraggablePanel containerRef={canvasContainerRef} title="Showroom Controls">
           {/* Tile choices */}
           <div className="mb-3">
             <label className="block text-xs font-medium mb-1">Floor Tile</label>
-            <select value={tile} onChange={(e) => setTile(e.target.value)} className="w-full p-1.5 border rounded text-sm">
-              {Object.keys(textures).map((t) => <option key={t} value={t}>{t}</option>)}
+            <select value={tile} onChange={(e) => selectFloorProduct(e.target.value)} className="w-full p-1.5 border rounded text-sm">
+              <CatalogOptions surface="floor" catalog={catalog} />
             </select>
           </div>
           <div className="mb-3">
             <label className="block text-xs font-medium mb-1">Wall Tile</label>
-            <select value={wallTile} onChange={(e) => setWallTile(e.target.value)} className="w-full p-1.5 border rounded text-sm">
-              {Object.keys(textures).map((t) => <option key={t} value={t}>{t}</option>)}
+            <select value={wallTile} onChange={(e) => selectWallProduct(e.target.value)} className="w-full p-1.5 border rounded text-sm">
+              <CatalogOptions surface="wall" catalog={catalog} />
             </select>
           </div>
+          <details className="mb-3 text-xs">
+            <summary className="cursor-pointer font-medium">New colourway…</summary>
+            <div className="flex items-center gap-3 mt-2">
+              <span>Based on:</span>
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={colourwaySurface === "floor"} onChange={() => setColourwaySurface("floor")} />
+                Floor tile
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={colourwaySurface === "wall"} onChange={() => setColourwaySurface("wall")} />
+                Wall tile
+              </label>
+            </div>
+            <ColourwayDesigner
+              baseProduct={colourwaySurface === "wall" ? wallTileProduct : tileProduct}
+              onCreate={(spec, label) => addColourway(colourwaySurface, spec, label)}
+            />
+            {colourways.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {catalog.filter((c) => c.baseSku).map((c) => (
+                  <li key={c.sku} className="flex items-center gap-2">
+                    <img src={proceduralTextureUrl(c.maps.procedural, 96)} alt="" className="w-5 h-5 rounded border" />
+                    <span className="flex-1 truncate">{c.name}</span>
+                    <button type="button" onClick={() => removeColourway(c.sku)} className="text-red-600 hover:underline">
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </details>
+
+          {/* Laying patterns */}
+          <div className="mb-3 grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs font-medium mb-1">Floor Pattern</label>
+              <select value={floorPattern} onChange={(e) => setFloorPattern(e.target.value)} className="w-full p-1.5 border rounded text-sm">
+                {Object.entries(LAYOUT_PATTERNS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Wall Pattern</label>
+              <select value={wallPattern} onChange={(e) => setWallPattern(e.target.value)} className="w-full p-1.5 border rounded text-sm">
+                {Object.entries(LAYOUT_PATTERNS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+              </select>
+            </div>
+            <div className="col-span-2 text-[11px] text-gray-600">
+              Waste allowance: floor {Math.round(floorWaste * 100)}% • wall {Math.round(wallWaste * 100)}%
+            </div>
+          </div>
 
           {/* Preview target */}
           <div className="mb-3">
@@ -1275,8 +6773,16 @@ export default function App() {
           </div>
 
           {/* Material sliders */}
+          <label className="flex items-center gap-2 text-xs mb-2">
+            <input type="checkbox" checked={useProductFinish} onChange={(e) => setUseProductFinish(e.target.checked)} />
+            Tiles use their catalog finish ({tileProduct.finish}
+            {wallTileProduct.finish !== tileProduct.finish ? ` / ${wallTileProduct.finish}` : ""})
+          </label>
           <div className="mb-3">
-            <label className="block text-xs mb-1">Roughness: {roughness.toFixed(2)}</label>
+            <label className="block text-xs mb-1">
+              Roughness: {roughness.toFixed(2)}
+              {useProductFinish ? " (painted walls only)" : ""}
+            </label>
             <input type="range" min="0" max="1" step="0.01" value={roughness} onChange={(e) => setRoughness(parseFloat(e.target.value))} className="w-full" />
           </div>
           <div className="mb-3">
@@ -1358,19 +6864,42 @@ export default function App() {
             <div>
               <label className="block mb-1 font-medium">Add item</label>
               <div className="grid grid-cols-2 gap-2">
-                {OBJECT_CATALOG.filter((a) => a.category === objectCategory).map((a) => (
-                  <button
-                    key={a.assetId}
-                    onClick={() => addObject(a.assetId)}
-                    className="border rounded p-2 hover:bg-gray-100 text-left"
-                    title={`Add ${a.label}`}
-                  >
-                    + {a.label}
-                  </button>
-                ))}
+                {OBJECT_CATALOG.filter((a) => a.category === objectCategory).map((a) =>
+                  a.imported ? (
+                    <div key={a.assetId} className="flex border rounded">
+                      <button onClick={() => addObject(a.assetId)} className="flex-1 p-2 hover:bg-gray-100 text-left" title={`Add ${a.label}`}>
+                        + {a.label}
+                      </button>
+                      <button
+                        onClick={() => removeImportedModel(a.assetId)}
+                        className="px-1 text-red-600 hover:bg-red-50"
+                        title="Delete this imported model"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      key={a.assetId}
+                      onClick={() => addObject(a.assetId)}
+                      className="border rounded p-2 hover:bg-gray-100 text-left"
+                      title={`Add ${a.label}`}
+                    >
+                      + {a.label}
+                    </button>
+                  )
+                )}
               </div>
             </div>
 
+            {/* Import a model */}
+            <details className="border-t pt-2">
+              <summary className="cursor-pointer font-medium">Import a model (GLB / GLTF)</summary>
+              <div className="mt-2">
+                <ModelImporter categories={Array.from(new Set(OBJECT_CATALOG.map((a) => a.category)))} onSave={addImportedModel} />
+              </div>
+            </details>
+
             {/* Transform mode */}
             <div className="border-t pt-2">
               <div className="font-medium mb-1">Transform</div>
@@ -1416,6 +6945,91 @@ export default function App() {
               )}
             </div>
 
+            {/* Placement checks */}
+            <div className="border-t pt-2">
+              <label className="flex items-center gap-2 mb-2">
+                <input
+                  type="checkbox"
+                  checked={excludeFixedFootprints}
+                  onChange={(e) => setExcludeFixedFootprints(e.target.checked)}
+                />
+                Don't tile under fixed items (cabinets, baths, built-ins)
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={wallSnapEnabled} onChange={(e) => setWallSnapEnabled(e.target.checked)} />
+                Snap backs and sides to walls
+              </label>
+              <label className="flex items-center gap-2 mt-2">
+                Walkway clearance ({roomUnit})
+                <input
+                  type="number"
+                  step={roomUnit === "in" ? "1" : "0.05"}
+                  min="0"
+                  placeholder="0.6 m"
+                  value={clearanceInput}
+                  onChange={(e) => setClearanceInput(e.target.value)}
+                  className="w-16 p-1 border rounded"
+                />
+              </label>
+              {!useRealScale && <div className="mt-1 text-amber-700">Fixed preview is stretched: switch to Real-scale to check walkway gaps.</div>}
+              {placementIssues.issues.length > 0 ? (
+                <ul className="mt-2 space-y-0.5 text-red-700">
+                  {placementIssues.issues.map((issue, i) => (
+                    <li key={i}>⚠ {issue.text}</li>
+                  ))}
+                </ul>
+              ) : (
+                objects.length > 0 && <div className="mt-2 text-green-700">All items clear.</div>
+              )}
+            </div>
+
+            {/* Measuring tape and dimension lines */}
+            <div className="border-t pt-2">
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-medium">Measure</span>
+                <select value={measureUnits} onChange={(e) => setMeasureUnits(e.target.value)} className="p-1 border rounded">
+                  <option value="metric">m / cm</option>
+                  <option value="imperial">ft / in</option>
+                </select>
+              </div>
+              <button
+                type="button"
+                onClick={toggleMeasuring}
+                className={`w-full px-2 py-1 rounded border ${measuring ? "bg-purple-600 text-white" : "bg-white"}`}
+              >
+                {measuring ? "Done measuring" : "Measure between two points"}
+              </button>
+              {measuring && <div className="mt-1 text-gray-600">Click the floor, a wall or an item, then a second point. Corners and edges snap.</div>}
+              {!useRealScale && <div className="mt-1 text-amber-700">Fixed preview is stretched: switch to Real-scale for true distances.</div>}
+              {measurements.length > 0 && (
+                <ul className="mt-2 space-y-0.5">
+                  {measurements.map((m, i) => (
+                    <li key={m.id} className="flex items-center justify-between">
+                      <span>
+                        #{i + 1}: {formatLength(Math.hypot(m.b[0] - m.a[0], m.b[1] - m.a[1], m.b[2] - m.a[2]), measureUnits)}
+                      </span>
+                      <button type="button" onClick={() => setMeasurements((all) => all.filter((x) => x.id !== m.id))} className="text-red-600">
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                  <li>
+                    <button type="button" onClick={() => setMeasurements([])} className="underline">
+                      Clear all
+                    </button>
+                  </li>
+                </ul>
+              )}
+              <label className="flex items-center gap-2 mt-2">
+                <input type="checkbox" checked={showWallDimensions} onChange={(e) => setShowWallDimensions(e.target.checked)} />
+                Show wall lengths
+              </label>
+              <label className="flex items-center gap-2 mt-1">
+                <input type="checkbox" checked={showClearanceDimensions} onChange={(e) => setShowClearanceDimensions(e.target.checked)} />
+                Show the selected item's distance to each wall
+              </label>
+            </div>
+
             {/* Placed objects list */}
             <div className="border-t pt-2">
               <div className="font-medium mb-1">Placed Items</div>
@@ -1427,6 +7041,7 @@ export default function App() {
                     <li key={o.id} className={`flex items-center justify-between p-2 border rounded ${o.id === selectedObjectId ? "bg-purple-50 border-purple-300" : "bg-white"}`}>
                       <button onClick={() => setSelectedObjectId(o.id)} className="text-left">
                         {o.label}
+                        {o.fixed ? <span className="text-gray-500"> (fixed)</span> : null}
                       </button>
                       <button onClick={() => removeObject(o.id)} className="text-red-600 text-xs">Remove</button>
                     </li>
@@ -1439,6 +7054,14 @@ export default function App() {
             {selectedObject && (
               <div className="border-t pt-2">
                 <div className="font-medium mb-2">Selected: {selectedObject.label}</div>
+                <label className="flex items-center gap-2 mb-2">
+                  <input
+                    type="checkbox"
+                    checked={!!selectedObject.fixed}
+                    onChange={(e) => updateObject(selectedObject.id, { fixed: e.target.checked })}
+                  />
+                  Fixed (no tiles underneath)
+                </label>
                 <div className="grid grid-cols-3 gap-2">
                   <div>
                     <div className="text-[11px]">X (m)</div>
@@ -1512,104 +7135,263 @@ export default function App() {
               <TilesRUsSoftLightRig strength={lightStrength} color={lightColor} softness={lightSoftness} />
             )}
 
-            <OrbitControls enabled={orbitEnabled} />
-
-            <group position={[0, 0, 0]}>
-              {/* Back wall */}
-              <WallPlane
-                width={floorSizeX}
-                height={wallHeight}
-                position={[0, wallHeight / 2, -floorSizeY / 2]}
-                rotationY={0}
-                textureUrl={textures[wallTile]}
-                useTexture={previewTarget === "wall" || previewTarget === "both"}
-                fallbackColor={wallColor}
-                roughness={roughness}
-                metalness={metalness}
-                envIntensity={enhancedLight ? Math.max(0, lightStrength) : 0}
-                receiveShadow
-              />
-              {(previewTarget === "wall" || previewTarget === "both") && (
-                <WallGroutLines
-                  wallWidth={floorSizeX}
-                  wallHeight={wallHeight}
-                  tileWidthM={tileWm}
-                  tileHeightM={tileLm}
-                  groutMm={groutMm}
-                  color={groutColor}
-                  wallPosition={[0, wallHeight / 2, -floorSizeY / 2]}
-                  wallRotationY={0}
-                  zOffset={0.001}
-                />
-              )}
-
-              {/* Side wall */}
-              <WallPlane
-                width={floorSizeY}
-                height={wallHeight}
-                position={[-floorSizeX / 2, wallHeight / 2, 0]}
-                rotationY={Math.PI / 2}
-                textureUrl={textures[wallTile]}
-                useTexture={previewTarget === "wall" || previewTarget === "both"}
-                fallbackColor={wallColor}
-                roughness={roughness}
-                metalness={metalness}
-                envIntensity={enhancedLight ? Math.max(0, lightStrength) : 0}
-                receiveShadow
+            {cameraView !== "walk" && (
+              <OrbitControls makeDefault enabled={orbitEnabled} enableRotate={cameraView !== "plan"} />
+            )}
+            {cameraView === "plan" && <PlanCamera outline={sceneOutline} />}
+            {cameraView === "walk" && (
+              <WalkControls
+                start={cameraGoals.entrance || cameraGoals.overview}
+                outline={sceneOutline}
+                walls={sceneWalls}
+                inputRef={walkInputRef}
               />
-              {(previewTarget === "wall" || previewTarget === "both") && (
-                <WallGroutLines
-                  wallWidth={floorSizeY}
-                  wallHeight={wallHeight}
-                  tileWidthM={tileWm}
-                  tileHeightM={tileLm}
-                  groutMm={groutMm}
-                  color={groutColor}
-                  wallPosition={[-floorSizeX / 2, wallHeight / 2, 0]}
-                  wallRotationY={Math.PI / 2}
-                  zOffset={0.001}
-                />
-              )}
+            )}
+            <CameraRig goal={cameraGoal} />
+            <RenderExporter exportRef={renderExportRef} />
+            {comparing && <CompareRenderer panes={panes} hideRef={mainFloorRef} />}
+
+            <MeasureTool
+              active={measuring}
+              targets={measureTargets}
+              measurements={comparing ? [] : measurements}
+              units={measureUnits}
+              onAdd={([a, b]) => setMeasurements((all) => [...all, { id: Date.now(), a, b }])}
+            >
+              <group position={[0, 0, 0]}>
+                {/* Walls (one per outline edge, facing into the room) */}
+                {sceneWalls.map((w, i) => {
+                  const mat = wallMaterialFor(i);
+                  const tiled = (previewTarget === "wall" || previewTarget === "both") && wallIsTiled(i);
+                  const band = tiled ? (featureWall === i ? wallHeight : wallTileBand) : 0;
+                  const product = wallProductFor(i);
+                  const tileW = mat.sku ? product.widthMm / 1000 : wallTileWm;
+                  const tileH = mat.sku ? product.lengthMm / 1000 : wallTileLm;
+                  const rects = sceneOpenings.filter((o) => o.wallIndex === i).map((o) => o.rect);
+                  return (
+                    <React.Fragment key={`wall-${i}`}>
+                      {band > 0 && (
+                        <WallPlane
+                          width={w.length}
+                          height={band}
+                          position={[w.mid[0], band / 2, w.mid[1]]}
+                          rotationY={w.rotationY}
+                          holes={panelHoles(rects, w.length, 0, band)}
+                          textureUrl={product.maps.color}
+                          maps={product.maps}
+                          finish={finishFor(product)}
+                          useTexture
+                          showGrout
+                          pattern={wallPattern}
+                          tileWidthM={tileW}
+                          tileHeightM={tileH}
+                          groutMm={groutMm}
+                          groutColor={groutColor}
+                          fallbackColor={wallColor}
+                          roughness={roughness}
+                          metalness={metalness}
+                          envIntensity={enhancedLight ? Math.max(0, lightStrength) : 0}
+                          receiveShadow
+                        />
+                      )}
+                      {/* Painted remainder above the tiled band (or the whole wall when untiled) */}
+                      {band < wallHeight && (
+                        <WallPlane
+                          width={w.length}
+                          height={wallHeight - band}
+                          position={[w.mid[0], band + (wallHeight - band) / 2, w.mid[1]]}
+                          rotationY={w.rotationY}
+                          holes={panelHoles(rects, w.length, band, wallHeight - band)}
+                          textureUrl={product.maps.color}
+                          useTexture={false}
+                          fallbackColor={mat.color || wallColor}
+                          roughness={roughness}
+                          metalness={metalness}
+                          envIntensity={enhancedLight ? Math.max(0, lightStrength) : 0}
+                          receiveShadow
+                        />
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+
+                {/* Listellos, border rows and chair rails */}
+                {wallStrips.flatMap((st) => {
+                  const d = STRIP_TYPES[st.type];
+                  const sy = wallHeight / wallHeightM;
+                  return sceneWalls.map((w, i) => {
+                    if (st.wallIndex != null && st.wallIndex !== i) return null;
+                    return (
+                      <WallStrip
+                        key={`${st.id}-${i}`}
+                        wall={w}
+                        rects={sceneOpenings.filter((o) => o.wallIndex === i).map((o) => o.rect)}
+                        bottom={(Number(st.bottom) || 0) * sy}
+                        height={(d.heightMm / 1000) * sy}
+                        depth={d.depthMm / 1000}
+                        color={st.color}
+                        metalness={d.metalness}
+                      />
+                    );
+                  });
+                })}
+
+                {/* Door / window frames, niche recesses and door thresholds */}
+                {sceneOpenings.map((o) => (
+                  <OpeningFixture key={o.id} type={o.type} rect={o.rect} wall={sceneWalls[o.wallIndex]} depth={Number(o.depth) || 0.1} />
+                ))}
 
-              {/* Floor */}
-              {(previewTarget === "floor" || previewTarget === "both") && (
-                <>
-                  <Floor {...floorProps} />
-                  {floorGroutAllowed && repeatX > 1 && repeatY > 1 && (
-                    <GroutLines
-                      sizeX={floorSizeX}
-                      sizeY={floorSizeY}
-                      repeatX={repeatX}
-                      repeatY={repeatY}
-                      thicknessMeters={Math.max(0.0005, Math.min(0.03, groutMm / 1000))}
-                      color={groutColor}
-                      y={0.005}
-                    />
-                  )}
+                {/* Floor */}
+                {(previewTarget === "floor" || previewTarget === "both") && (
+                <>
+                  <group ref={mainFloorRef}>
+                    <Floor {...floorProps} />
+                  </group>
+                  {comparing &&
+                    shownCompareOptions.map((o, i) => (
+                      <group key={o.id} userData={{ comparePane: i }}>
+                        <Floor {...compareFloorProps(o)} />
+                      </group>
+                    ))}
                 </>
               )}
 
-              {/* Objects in room */}
-              <ObjectsLayer
-                objects={objects}
-                selectedId={selectedObjectId}
-                onSelect={(id) => setSelectedObjectId(id)}
-                onChange={(id, patch) => updateObject(id, patch)}
-                onTransformStart={() => setOrbitEnabled(false)}
-                onTransformEnd={() => setOrbitEnabled(true)}
-                mode={transformMode}
-                snap={snap}
-                sizeX={floorSizeX}
-                sizeY={floorSizeY}
-              />
+                {/* Untiled screed under fixed items */}
+                {excludeFixedFootprints &&
+                  sceneObjects
+                    .filter((o) => o.fixed)
+                    .map((o) => <UntiledPatch key={`untiled-${o.id}`} fp={objectFootprint(o, modelSizes[o.url])} />)}
+
+                {/* Objects in room */}
+                <ObjectsLayer
+                  objects={sceneObjects}
+                  selectedId={selectedObjectId}
+                  onSelect={measuring ? null : (id) => setSelectedObjectId(id)}
+                  onChange={(id, patch) => updateObject(id, patch)}
+                  onTransformStart={() => setOrbitEnabled(false)}
+                  onTransformEnd={() => setOrbitEnabled(true)}
+                  onMeasure={measureModel}
+                  mode={transformMode}
+                  snap={snap}
+                  sizes={modelSizes}
+                  outline={sceneOutline}
+                  walls={sceneWalls}
+                  wallSnap={wallSnapEnabled ? WALL_SNAP_M : 0}
+                  flaggedIds={placementIssues.flaggedIds}
+                />
+                {placementIssues.blockedDoors.map((d) => (
+                  <FootprintOutline key={`swing-${d.id}`} fp={d.fp} fill />
+                ))}
 
-              {/* Skirting */}
-              <Skirting roomWm={floorSizeX} roomLm={floorSizeY} height={0.12} thickness={0.06} color={"#eaeaea"} />
-            </group>
+                {/* Skirting */}
+                <Skirting roomWm={floorSizeX} roomLm={floorSizeY} outline={sceneOutline} height={0.12} thickness={0.06} color={"#eaeaea"} />
+              </group>
+            </MeasureTool>
+
+            {/* Wall lengths, drawn just inside each wall (real lengths, also in the stretched preview) */}
+            {showWallDimensions &&
+              !comparing &&
+              sceneWalls.map((w, i) => {
+                const inset = (p) => [p[0] + w.normal[0] * 0.25, 0.02, p[1] + w.normal[1] * 0.25];
+                return (
+                  <DimensionLine
+                    key={`dim-wall-${i}`}
+                    from={inset(w.start)}
+                    to={inset(w.end)}
+                    label={formatLength(estimateWalls[i]?.length ?? w.length, measureUnits)}
+                    color="#2563eb"
+                  />
+                );
+              })}
+
+            {/* Selected item to each wall it faces */}
+            {!comparing &&
+              selectedClearances.map((c) => (
+                <DimensionLine
+                  key={`dim-gap-${c.wallIndex}`}
+                  from={[c.from[0], 0.03, c.from[1]]}
+                  to={[c.to[0], 0.03, c.to[1]]}
+                  label={formatLength(c.gap, measureUnits)}
+                  color="#059669"
+                />
+              ))}
           </Canvas>
         </Suspense>
       </div>
 
+      {/* Tile comparison */}
+      <div className="w-full max-w-4xl bg-white text-black rounded-xl shadow-md p-4 mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="font-semibold">Compare Floor Tiles</h3>
+          <div className="flex items-center gap-3 text-xs">
+            {[
+              ["off", "Off"],
+              ["side", "Side by side"],
+              ["split", "Split slider"],
+            ].map(([mode, label]) => (
+              <label key={mode} className="flex items-center gap-1">
+                <input type="radio" checked={compareMode === mode} onChange={() => startCompare(mode)} />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+        {compareMode === "off" ? (
+          <p className="text-xs text-gray-600">
+            Show the room with two to four floor tile and grout options at once, with the camera shared between them.
+          </p>
+        ) : (
+          <>
+            <ul className="space-y-1 text-xs">
+              {compareOptions.map((o, i) => (
+                <li key={o.id} className={`flex flex-wrap items-center gap-2 ${compareMode === "split" && i > 1 ? "opacity-50" : ""}`}>
+                  <span className="font-semibold w-4">{String.fromCharCode(65 + i)}</span>
+                  <select value={o.sku} onChange={(e) => updateCompareOption(o.id, { sku: e.target.value })} className="p-1 border rounded flex-1 min-w-[12rem]">
+                    <CatalogOptions surface="floor" catalog={catalog} />
+                  </select>
+                  <input
+                    type="color"
+                    value={o.groutColor}
+                    onChange={(e) => updateCompareOption(o.id, { groutColor: e.target.value })}
+                    className="w-8 h-7 p-0 border rounded"
+                    title="Grout colour"
+                  />
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="0"
+                      max="15"
+                      step="0.5"
+                      value={o.groutMm}
+                      onChange={(e) => updateCompareOption(o.id, { groutMm: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="w-14 p-1 border rounded"
+                    />
+                    mm
+                  </label>
+                  <button type="button" onClick={() => chooseCompareOption(o)} className="px-2 py-1 rounded bg-purple-600 text-white hover:bg-purple-700">
+                    Use in calculator
+                  </button>
+                  {compareOptions.length > 2 && (
+                    <button type="button" onClick={() => removeCompareOption(o.id)} className="text-red-600">
+                      ×
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center gap-3 mt-2 text-xs">
+              {compareOptions.length < MAX_COMPARE && (
+                <button type="button" onClick={addCompareOption} className="underline">
+                  + Add option
+                </button>
+              )}
+              {compareMode === "split" && compareOptions.length > 2 && <span className="text-gray-600">The split slider shows A and B.</span>}
+              {previewTarget === "wall" && <span className="text-amber-700">Switch the preview to Floor or Both to see the options.</span>}
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Tile preview (viewer only — controls in overlay) */}
       <div className="w-full max-w-4xl grid grid-cols-1 gap-6 mb-6">
         <div className="bg-white text-black rounded-xl shadow-md p-4 flex flex-col items-center">
@@ -1617,7 +7399,9 @@ export default function App() {
           <div className="w-full h-48 bg-black rounded overflow-hidden">
             <Suspense fallback={<div className="w-full h-full flex items-center justify-center text-white text-xs">Loading...</div>}>
               <TilePreview
-                textureUrl={textures[tile]}
+                textureUrl={tileProduct.maps.color}
+                maps={tileProduct.maps}
+                finish={floorFinish}
                 roughness={roughness}
                 metalness={metalness}
                 showTiled={showTiledPreview}
@@ -1628,6 +7412,9 @@ export default function App() {
                 lightStrength={lightStrength}
                 lightColor={lightColor}
                 lightSoftness={lightSoftness}
+                pattern={floorPattern}
+                tileAspect={tileLm / tileWm}
+                tileWidthM={tileWm}
               />
             </Suspense>
           </div>
@@ -1635,38 +7422,180 @@ export default function App() {
         </div>
       </div>
 
-      {/* Performance notice */}
-      {!floorGroutAllowed && useRealScale && (
-        <div className="mt-3 p-3 rounded bg-yellow-100 text-yellow-900 border border-yellow-200">
-          <div className="text-sm">
-            Grout preview is hidden for very large rooms to avoid performance issues.
-          </div>
-          <div className="mt-2 flex items-center gap-2">
-            <button
-              onClick={() => setUseRealScale(false)}
-              className="bg-purple-600 text-white px-3 py-1 rounded hover:bg-purple-700 text-sm"
-            >
-              Switch to Fixed Preview
-            </button>
-            <button
-              onClick={() => {
-                setShowTiledPreview(true);
-                setPreviewRepeat((p) => Math.max(4, p));
+      {/* Render export */}
+      <div className="w-full max-w-4xl bg-white text-black rounded-xl shadow-md p-4 mb-6">
+        <h3 className="font-semibold mb-1">Render &amp; Summary Sheet</h3>
+        <p className="text-xs text-gray-600 mb-3">
+          Renders the current 3D view without the on-screen controls. The summary sheet puts it on one A4 page with the
+          tiles, grout, room size and quote.
+        </p>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select value={renderSize} onChange={(e) => setRenderSize(e.target.value)} className="p-1.5 border rounded">
+            {Object.entries(RENDER_SIZES).map(([key, r]) => (
+              <option key={key} value={key}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={downloadRender} className="bg-purple-600 text-white px-3 py-1.5 rounded hover:bg-purple-700">
+            Download render
+          </button>
+          <button
+            type="button"
+            onClick={() => exportSummarySheet(false)}
+            disabled={exportingSheet}
+            className="px-3 py-1.5 border rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Summary sheet (PNG)
+          </button>
+          <button
+            type="button"
+            onClick={() => exportSummarySheet(true)}
+            disabled={exportingSheet}
+            className="px-3 py-1.5 border rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Print / save as PDF
+          </button>
+        </div>
+      </div>
+
+      {/* Customer tile photos */}
+      <div className="w-full max-w-4xl bg-white text-black rounded-xl shadow-md p-4 mb-6">
+        <h3 className="font-semibold mb-1">Customer Tile Photo</h3>
+        <p className="text-xs text-gray-600 mb-3">
+          Photograph a sample the customer brought in, crop one tile and use it in the showroom and the quote.
+        </p>
+        <div className="flex items-center gap-3 text-xs mb-2">
+          <span>Use for:</span>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={customTileSurface === "floor"} onChange={() => setCustomTileSurface("floor")} />
+            Floor
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={customTileSurface === "wall"} onChange={() => setCustomTileSurface("wall")} />
+            Walls
+          </label>
+        </div>
+        <TilePhotoImporter onSave={addCustomTile} />
+        {customTiles.length > 0 && (
+          <ul className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2 text-xs">
+            {customTiles.map((p) => (
+              <li key={p.sku} className="flex items-center gap-2 border rounded p-1">
+                <img src={p.maps.color} alt="" className="w-10 h-10 object-cover rounded" />
+                <div className="flex-1">
+                  <div className="font-medium">{p.name}</div>
+                  <div className="text-gray-600">
+                    {p.sku} • {p.nominalSize} • {p.finish}
+                  </div>
+                </div>
+                <button type="button" onClick={() => selectFloorProduct(p.sku, p)} className="underline">
+                  Floor
+                </button>
+                <button type="button" onClick={() => selectWallProduct(p.sku, p)} className="underline">
+                  Walls
+                </button>
+                <button type="button" onClick={() => removeCustomTile(p.sku)} className="text-red-600 hover:underline">
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Photo visualiser */}
+      <div className="w-full max-w-4xl bg-white text-black rounded-xl shadow-md p-4 mb-6">
+        <h3 className="font-semibold mb-1">Photo Visualiser</h3>
+        <p className="text-xs text-gray-600 mb-3">
+          Lay the selected floor or wall tile, with the current pattern and grout, over a photo of the customer's own room.
+        </p>
+        <PhotoVisualiser
+          floor={{ product: tileProduct, pattern: floorPattern }}
+          wall={{ product: wallTileProduct, pattern: wallPattern }}
+          groutMm={groutMm}
+          groutColor={groutColor}
+        />
+      </div>
+
+      {/* Saved designs */}
+      <div className="w-full max-w-4xl bg-white text-black rounded-xl shadow-md p-4 mb-6">
+        <h3 className="font-semibold mb-1">Saved Designs</h3>
+        <p className="text-xs text-gray-600 mb-3">
+          Saves every room (size, tiles, grout, walls, furniture) and the showroom lighting. Orders keep a copy of the design they were placed from.
+        </p>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            value={designName}
+            onChange={(e) => setDesignName(e.target.value)}
+            placeholder={projectName || "Design name"}
+            className="p-1.5 border rounded flex-1 min-w-[12rem]"
+          />
+          <button type="button" onClick={saveDesign} className="bg-purple-600 text-white px-3 py-1.5 rounded hover:bg-purple-700">
+            {designs.some((d) => d.id === currentDesignId && d.name === (designName.trim() || projectName.trim() || "Untitled design"))
+              ? "Save new revision"
+              : "Save design"}
+          </button>
+          <label className="px-3 py-1.5 border rounded cursor-pointer hover:bg-gray-100 text-xs">
+            Import JSON
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                importDesign(e.target.files?.[0]);
+                e.target.value = "";
               }}
-              className="bg-white text-gray-800 border px-3 py-1 rounded hover:bg-gray-50 text-sm"
-            >
-              Show Close-up Grout Only
-            </button>
-          </div>
-          <div className="text-xs text-gray-700 mt-2">
-            (Tip: switch to fixed preview or use the close-up preview to inspect grout and seams.)
-          </div>
+            />
+          </label>
         </div>
-      )}
+        {designs.length > 0 && (
+          <ul className="mt-3 space-y-1 text-xs">
+            {designs.map((d) => (
+              <li key={d.id} className={`flex items-center gap-2 border rounded p-1.5 ${d.id === currentDesignId ? "border-purple-500" : ""}`}>
+                <div className="flex-1">
+                  <div className="font-medium">
+                    {d.name} <span className="text-gray-500">rev {d.revision}</span>
+                  </div>
+                  <div className="text-gray-600">
+                    {d.project.rooms.map((r) => r.name).join(", ")} • saved {new Date(d.savedAt).toLocaleString()}
+                    {d.parentId ? ` • variant of ${designs.find((p) => p.id === d.parentId)?.name || d.parentId}` : ""}
+                  </div>
+                </div>
+                <button type="button" onClick={() => openDesign(d)} className="underline">
+                  Open
+                </button>
+                <button type="button" onClick={() => duplicateDesign(d)} className="underline">
+                  Duplicate
+                </button>
+                <button type="button" onClick={() => downloadDesign(d)} className="underline">
+                  Download
+                </button>
+                <button type="button" onClick={() => deleteDesign(d.id)} className="text-red-600 hover:underline">
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
 
       {/* Calculator + Customer Info */}
       <div className="w-full max-w-4xl bg-white text-black rounded-xl shadow-md p-6 mb-6">
         <h2 className="text-lg font-semibold mb-4">Tile Calculator</h2>
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <label className="font-medium">Room</label>
+          <input
+            value={activeRoom.name}
+            onChange={(e) => renameRoom(activeRoom.id, e.target.value)}
+            placeholder="e.g. Kitchen"
+            className="p-1.5 border rounded"
+          />
+          {rooms.length > 1 && (
+            <button type="button" onClick={() => removeRoom(activeRoom.id)} className="text-red-600 hover:underline text-xs">
+              Remove room
+            </button>
+          )}
+        </div>
 
         {/* Basic dimensions and pricing */}
         <div className="grid grid-cols-2 gap-2 mb-3">
@@ -1702,18 +7631,53 @@ export default function App() {
           />
           <input
             type="number"
-            placeholder="Room Length"
-            value={roomLength}
-            onChange={(e) => setRoomLength(e.target.value)}
-            className="p-2 border rounded"
+            min="0"
+            placeholder={`Waste % (default ${Math.round(patternWaste(floorPattern) * 100)}% for ${LAYOUT_PATTERNS[floorPattern].label})`}
+            value={floorWastePct}
+            onChange={(e) => setFloorWastePct(e.target.value)}
+            className="col-span-2 p-2 border rounded"
           />
-          <input
-            type="number"
-            placeholder="Room Width"
-            value={roomWidth}
-            onChange={(e) => setRoomWidth(e.target.value)}
-            className="p-2 border rounded"
+          <CatalogProductNote
+            product={tileProduct}
+            length={tileLength}
+            width={tileWidth}
+            unit={tileUnit}
+            price={tilePrice}
+            onReset={() => selectFloorProduct(tile)}
           />
+          <div className="col-span-2 flex items-center gap-4 text-sm">
+            <span className="font-medium">Room Shape:</span>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={roomShape === "rectangle"} onChange={() => setRoomShape("rectangle")} />
+              Rectangle
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={roomShape === "outline"} onChange={() => setRoomShape("outline")} />
+              Custom outline (L / U / notched)
+            </label>
+          </div>
+          {roomShape === "rectangle" ? (
+            <>
+              <input
+                type="number"
+                placeholder="Room Length"
+                value={roomLength}
+                onChange={(e) => setRoomLength(e.target.value)}
+                className="p-2 border rounded"
+              />
+              <input
+                type="number"
+                placeholder="Room Width"
+                value={roomWidth}
+                onChange={(e) => setRoomWidth(e.target.value)}
+                className="p-2 border rounded"
+              />
+            </>
+          ) : (
+            <div className="col-span-2">
+              <RoomOutlineEditor points={roomOutline} unit={roomUnit} onChange={setRoomOutline} />
+            </div>
+          )}
           <select
             value={roomUnit}
             onChange={(e) => setRoomUnit(e.target.value)}
@@ -1723,6 +7687,370 @@ export default function App() {
             <option value="ft">Feet</option>
             <option value="in">Inches</option>
           </select>
+          <input
+            type="number"
+            placeholder={`Wall Height (${roomUnit}, default 3 m)`}
+            value={wallHeightInput}
+            onChange={(e) => setWallHeightInput(e.target.value)}
+            className="col-span-2 p-2 border rounded"
+          />
+        </div>
+
+        {/* Wall tiling */}
+        <div className="mt-4 p-3 rounded border bg-gray-50 text-sm">
+          <label className="flex items-center gap-2 font-semibold">
+            <input type="checkbox" checked={wallTilingEnabled} onChange={(e) => setWallTilingEnabled(e.target.checked)} />
+            Include wall tiling ({wallTileProduct.name})
+          </label>
+
+          {wallTilingEnabled && (
+            <>
+              <div className="grid grid-cols-2 gap-2 mt-3">
+                <input
+                  type="number"
+                  placeholder="Wall Tile Length"
+                  value={wallTileLength}
+                  onChange={(e) => setWallTileLength(e.target.value)}
+                  className="p-2 border rounded"
+                />
+                <input
+                  type="number"
+                  placeholder="Wall Tile Width"
+                  value={wallTileWidth}
+                  onChange={(e) => setWallTileWidth(e.target.value)}
+                  className="p-2 border rounded"
+                />
+                <select
+                  value={wallTileUnit}
+                  onChange={(e) => setWallTileUnit(e.target.value)}
+                  className="p-2 border rounded"
+                >
+                  <option value="m">Meters</option>
+                  <option value="ft">Feet</option>
+                  <option value="in">Inches</option>
+                </select>
+                <input
+                  type="number"
+                  placeholder="Wall Tile Price"
+                  value={wallTilePrice}
+                  onChange={(e) => setWallTilePrice(e.target.value)}
+                  className="p-2 border rounded"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  placeholder={`Waste % (default ${Math.round(patternWaste(wallPattern) * 100)}% for ${LAYOUT_PATTERNS[wallPattern].label})`}
+                  value={wallWastePct}
+                  onChange={(e) => setWallWastePct(e.target.value)}
+                  className="col-span-2 p-2 border rounded"
+                />
+                <CatalogProductNote
+                  product={wallTileProduct}
+                  length={wallTileLength}
+                  width={wallTileWidth}
+                  unit={wallTileUnit}
+                  price={wallTilePrice}
+                  onReset={() => selectWallProduct(wallTile)}
+                />
+              </div>
+
+              <div className="flex items-center gap-4 mt-3">
+                <span className="text-xs font-medium">Tiled height:</span>
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={wallTileHeightMode === "full"} onChange={() => setWallTileHeightMode("full")} />
+                  Full height
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={wallTileHeightMode === "wainscot"} onChange={() => setWallTileHeightMode("wainscot")} />
+                  Wainscot
+                </label>
+                {wallTileHeightMode === "wainscot" && (
+                  <input
+                    type="number"
+                    placeholder={`Height (${roomUnit}, default 1.2 m)`}
+                    value={wainscotHeight}
+                    onChange={(e) => setWainscotHeight(e.target.value)}
+                    className="flex-1 p-1.5 border rounded"
+                  />
+                )}
+              </div>
+
+              <div className="text-xs text-gray-600 mt-3">
+                Choose which walls are tiled (and with what) under Wall Finishes below.
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Per-wall finishes, feature wall and decorative strips */}
+        <div className="mt-4 p-3 rounded border bg-gray-50 text-sm">
+          <div className="font-semibold mb-2">Wall Finishes</div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1">Wall</th>
+                <th>Finish</th>
+                <th>Paint</th>
+                <th className="text-center">Feature</th>
+              </tr>
+            </thead>
+            <tbody>
+              {estimateWalls.map((w, i) => {
+                const m = wallMaterialFor(i);
+                return (
+                  <tr key={`wf-${i}`} className="border-t">
+                    <td className="py-1 pr-2">
+                      {wallLabel(i, !isOutlineRoom)} ({w.length.toFixed(2)} m)
+                    </td>
+                    <td className="pr-2">
+                      <select
+                        value={m.mode === "paint" ? "paint" : m.sku}
+                        onChange={(e) =>
+                          updateWallMaterial(i, e.target.value === "paint" ? { mode: "paint" } : { mode: "tile", sku: e.target.value })
+                        }
+                        className="w-full p-1 border rounded"
+                      >
+                        <option value="">Wall tile ({wallTileProduct.name})</option>
+                        <CatalogOptions surface="wall" catalog={catalog} />
+                        <option value="paint">Paint only</option>
+                      </select>
+                    </td>
+                    <td className="pr-2">
+                      <input
+                        type="color"
+                        value={m.color || wallColor}
+                        onChange={(e) => updateWallMaterial(i, { color: e.target.value })}
+                        title="Paint colour above the tiles (or the whole wall)"
+                      />
+                    </td>
+                    <td className="text-center">
+                      <input
+                        type="checkbox"
+                        checked={featureWall === i}
+                        onChange={(e) => setFeatureWall(e.target.checked ? i : null)}
+                        title="Feature wall: tiled floor to ceiling"
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="text-xs text-gray-600 mt-1">
+            Painted walls are left out of the wall tile estimate. A feature wall is tiled full height with its own tile.
+          </div>
+
+          <div className="flex items-center justify-between mt-3 mb-1">
+            <span className="font-medium text-xs">Strips (listello, border, chair rail)</span>
+            <div className="flex gap-2 text-xs">
+              {Object.entries(STRIP_TYPES).map(([type, d]) => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => addWallStrip(type)}
+                  className="px-2 py-1 border rounded bg-white hover:bg-gray-100"
+                >
+                  + {d.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {wallStrips.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1">Strip</th>
+                  <th>Bottom (m)</th>
+                  <th>Walls</th>
+                  <th>Colour</th>
+                  <th>Piece (mm)</th>
+                  <th>Price / pc</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {wallStrips.map((st) => (
+                  <tr key={st.id} className="border-t">
+                    <td className="py-1 pr-2">
+                      {STRIP_TYPES[st.type].label} ({STRIP_TYPES[st.type].heightMm} mm)
+                    </td>
+                    <td className="pr-2">
+                      <input
+                        type="number"
+                        step="0.05"
+                        value={st.bottom}
+                        onChange={(e) => updateWallStrip(st.id, { bottom: e.target.value })}
+                        className="w-16 p-1 border rounded"
+                      />
+                    </td>
+                    <td className="pr-2">
+                      <select
+                        value={st.wallIndex ?? ""}
+                        onChange={(e) => updateWallStrip(st.id, { wallIndex: e.target.value === "" ? null : Number(e.target.value) })}
+                        className="p-1 border rounded"
+                      >
+                        <option value="">All walls</option>
+                        {estimateWalls.map((_, i) => (
+                          <option key={i} value={i}>{wallLabel(i, !isOutlineRoom)}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="pr-2">
+                      <input type="color" value={st.color} onChange={(e) => updateWallStrip(st.id, { color: e.target.value })} />
+                    </td>
+                    <td className="pr-2">
+                      <input
+                        type="number"
+                        value={st.pieceMm}
+                        onChange={(e) => updateWallStrip(st.id, { pieceMm: e.target.value })}
+                        className="w-16 p-1 border rounded"
+                      />
+                    </td>
+                    <td className="pr-2">
+                      <input
+                        type="number"
+                        value={st.price}
+                        onChange={(e) => updateWallStrip(st.id, { price: e.target.value })}
+                        className="w-20 p-1 border rounded"
+                      />
+                    </td>
+                    <td>
+                      <button type="button" onClick={() => removeWallStrip(st.id)} className="text-red-600 hover:underline">
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Doors, windows & niches */}
+        <div className="mt-4 p-3 rounded border bg-gray-50 text-sm">
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-semibold">Doors, Windows & Niches</span>
+            <div className="flex gap-2 text-xs">
+              {Object.entries(OPENING_DEFAULTS).map(([type, d]) => (
+                <button key={type} onClick={() => addOpening(type)} className="px-2 py-1 border rounded bg-white hover:bg-gray-100">
+                  + {d.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {openings.length === 0 ? (
+            <div className="text-xs text-gray-500">No openings. Their area is deducted from the wall-tile estimate.</div>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1">Type</th>
+                  <th className="py-1">Wall</th>
+                  <th className="py-1">From left (m)</th>
+                  <th className="py-1">Width (m)</th>
+                  <th className="py-1">Height (m)</th>
+                  <th className="py-1">Sill (m)</th>
+                  <th className="py-1">Depth (m)</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {openings.map((o) => (
+                  <tr key={o.id}>
+                    <td className="py-0.5 pr-1">{OPENING_DEFAULTS[o.type]?.label || o.type}</td>
+                    <td className="py-0.5 pr-1">
+                      <select
+                        value={o.wallIndex}
+                        onChange={(e) => updateOpening(o.id, { wallIndex: parseInt(e.target.value, 10) })}
+                        className="w-full p-1 border rounded"
+                      >
+                        {estimateWalls.map((w, i) => (
+                          <option key={`ow-${i}`} value={i}>
+                            {wallLabel(i, !isOutlineRoom)}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    {["offset", "width", "height", "sill", "depth"].map((field) => (
+                      <td key={field} className="py-0.5 pr-1">
+                        <input
+                          type="number"
+                          step="0.05"
+                          min="0"
+                          value={o[field]}
+                          disabled={(field === "sill" && o.type === "door") || (field === "depth" && o.type !== "niche")}
+                          onChange={(e) => updateOpening(o.id, { [field]: parseFloat(e.target.value) || 0 })}
+                          className="w-full p-1 border rounded disabled:bg-gray-100"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-0.5">
+                      <button onClick={() => removeOpening(o.id)} className="text-red-600">
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Cut planning */}
+        <div className="mt-4 p-3 rounded border bg-gray-50 text-sm">
+          <div className="font-semibold mb-2">Cut Planning (floor)</div>
+          <div className="flex flex-wrap items-center gap-4 mb-2">
+            {Object.entries(LAYOUT_STARTS).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2">
+                <input type="radio" checked={layoutStart === key} onChange={() => setLayoutStart(key)} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {layoutStart === "corner" && (
+              <div>
+                <label className="block text-xs font-medium mb-1">Start corner</label>
+                <select value={layoutCorner} onChange={(e) => setLayoutCorner(e.target.value)} className="w-full p-2 border rounded">
+                  {Object.entries(LAYOUT_CORNERS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {layoutStart === "doorway" && (
+              <div>
+                <label className="block text-xs font-medium mb-1">Start doorway</label>
+                {openings.some((o) => o.type === "door") ? (
+                  <select value={layoutDoor?.id || ""} onChange={(e) => setLayoutDoorId(e.target.value)} className="w-full p-2 border rounded">
+                    {openings
+                      .filter((o) => o.type === "door")
+                      .map((o, i) => (
+                        <option key={o.id} value={o.id}>
+                          Door {i + 1} ({wallLabel(o.wallIndex, !isOutlineRoom)})
+                        </option>
+                      ))}
+                  </select>
+                ) : (
+                  <div className="text-xs text-gray-600">Add a door above to start the layout from it.</div>
+                )}
+              </div>
+            )}
+            <div>
+              <label className="block text-xs font-medium mb-1">Minimum edge cut (mm)</label>
+              <input
+                type="number"
+                min="0"
+                step="5"
+                value={minCutMm}
+                onChange={(e) => setMinCutMm(e.target.value)}
+                className="w-full p-2 border rounded"
+              />
+            </div>
+          </div>
+          <div className="text-[11px] text-gray-500 mt-2">
+            Real-scale preview lays true-size tiles from this start point so the cuts match the plan.
+          </div>
         </div>
 
         {/* Delivery / Pickup + Store & Auto-distance */}
@@ -1861,6 +8189,26 @@ export default function App() {
           )}
         </div>
 
+        {/* Sundries */}
+        <div className="mt-4 p-3 rounded border bg-gray-50 text-sm">
+          <div className="font-semibold mb-2">Sundries</div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+            {Object.entries(SUNDRIES).map(([key, s]) => (
+              <label key={key} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!!sundryInclude[key]}
+                  onChange={(e) => setSundryInclude((prev) => ({ ...prev, [key]: e.target.checked }))}
+                />
+                {s.label} (${s.price.toLocaleString()} / {s.pack})
+              </label>
+            ))}
+          </div>
+          <div className="text-xs text-gray-600 mt-2">
+            Grout is sized from the tile size and thickness and the {groutMm} mm joint set in the showroom controls.
+          </div>
+        </div>
+
         <button
           onClick={handleCalculate}
           className="mt-4 w-full bg-purple-600 text-white py-2 rounded hover:bg-purple-700"
@@ -1871,11 +8219,40 @@ export default function App() {
         {result && (
           <div className="mt-4 text-sm">
             <div className="font-semibold text-lg mb-1">Results</div>
+            {result.product && (
+              <div className="text-xs text-gray-700 mb-1">
+                Floor tile: <strong>{result.product.sku}</strong> {result.product.name} ({result.product.nominalSize}, {result.product.finish}) @ $
+                {Number(result.tilePrice).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per tile
+              </div>
+            )}
             <div>
               Room Area: {result.roomAreaM2.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²
               {" "}({result.roomAreaSqFt.toLocaleString(undefined, { maximumFractionDigits: 2 })} ft²)
             </div>
-            <div className="mt-1">Tiles Needed: <strong>{result.tilesNeeded.toLocaleString()}</strong></div>
+            {result.fixedItems?.length > 0 && (
+              <div className="mt-1">
+                <div>
+                  Left untiled under fixed items: <strong>{result.fixedAreaM2.toFixed(2)} m²</strong> • tiled floor{" "}
+                  {result.tiledAreaM2.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²
+                </div>
+                <ul className="text-xs text-gray-700 list-disc ml-5">
+                  {result.fixedItems.map((f) => (
+                    <li key={f.id}>
+                      {f.label}: {f.widthM.toFixed(2)} × {f.depthM.toFixed(2)} m = {f.areaM2.toFixed(2)} m²
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="mt-1">
+              Tiles Needed: <strong>{result.tilesNeeded.toLocaleString()}</strong>
+              {result.pattern ? (
+                <span className="text-xs text-gray-700">
+                  {" "}({LAYOUT_PATTERNS[result.pattern]?.label || result.pattern}, incl. {Math.round((result.wasteFactor || 0) * 100)}% waste)
+                </span>
+              ) : null}
+            </div>
+            {result.boxes && <BoxSummary boxes={result.boxes} />}
             <div>Tile Cost: <strong>${result.totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong></div>
             <div className="mt-2">
               Thinset (50 lb bags): <strong>{result.thinsetBags.toLocaleString()}</strong> @ ${result.thinsetBagPrice.toLocaleString()} per bag
@@ -1883,6 +8260,137 @@ export default function App() {
             <div>
               Thinset Cost: <strong>${result.thinsetCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong>
             </div>
+            {result.sundries?.items.length > 0 && (
+              <div className="mt-2">
+                <div className="font-medium">Sundries</div>
+                <ul className="text-xs text-gray-700 list-disc ml-5">
+                  {result.sundries.items.map((i) => (
+                    <li key={i.key}>
+                      {i.label}: <strong>{i.quantity}</strong> × {i.pack} ({i.detail}) @ ${i.unitPrice.toLocaleString()} = $
+                      {i.cost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    </li>
+                  ))}
+                </ul>
+                <div>
+                  Sundries Cost: <strong>${result.sundries.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong>
+                </div>
+              </div>
+            )}
+
+            {/* Cut plan summary */}
+            {result.cutPlan && (
+              <div className="mt-2">
+                {result.cutPlan.fullTiles != null && (
+                  <div>
+                    Layout ({LAYOUT_STARTS[result.cutPlan.start]}): <strong>{result.cutPlan.fullTiles.toLocaleString()}</strong> full
+                    {" "}+ <strong>{result.cutPlan.cutTiles.toLocaleString()}</strong> cut tiles
+                  </div>
+                )}
+                {result.cutPlan.walls.some((w) => w.cutTiles > 0) && (
+                  <ul className="text-xs text-gray-700 ml-4 list-disc">
+                    {result.cutPlan.walls
+                      .filter((w) => w.cutTiles > 0)
+                      .map((w) => (
+                        <li key={`cw-${w.index}`} className={w.slivers ? "text-red-700" : ""}>
+                          {w.label}: {w.cutTiles} cut • smallest cut {w.minCutMm ?? "—"} mm
+                          {w.slivers ? ` • ${w.slivers} sliver(s)` : ""}
+                        </li>
+                      ))}
+                  </ul>
+                )}
+                {result.cutPlan.warnings.map((msg, i) => (
+                  <div key={`cwarn-${i}`} className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded px-2 py-1 mt-1">
+                    {msg}
+                  </div>
+                ))}
+                {result.cutPlan.cutList.length > 0 && (
+                  <details className="mt-1">
+                    <summary className="cursor-pointer text-xs text-purple-700">Installer cut list ({result.cutPlan.cutList.length} sizes)</summary>
+                    <table className="w-full text-xs mt-1">
+                      <thead>
+                        <tr className="text-left text-gray-600">
+                          <th className="py-0.5">Wall</th>
+                          <th className="py-0.5">Piece (mm, W × L)</th>
+                          <th className="py-0.5">Qty</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.cutPlan.cutList.map((c, i) => (
+                          <tr key={`cut-${i}`} className={c.sliver ? "text-red-700" : ""}>
+                            <td className="py-0.5">{c.wall}</td>
+                            <td className="py-0.5">
+                              {c.widthMm} × {c.lengthMm}
+                              {c.sliver ? " (sliver)" : ""}
+                            </td>
+                            <td className="py-0.5">{c.qty}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </details>
+                )}
+              </div>
+            )}
+
+            {/* Wall tiling summary */}
+            {result.wall && (
+              <div className="mt-2">
+                <div>
+                  Wall Area ({result.wall.heightMode === "wainscot" ? `wainscot ${result.wall.tiledHeightM.toFixed(2)} m` : "full height"}):{" "}
+                  {result.wall.areaM2.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²
+                  {" "}({result.wall.areaSqFt.toLocaleString(undefined, { maximumFractionDigits: 2 })} ft²)
+                </div>
+                <ul className="text-xs text-gray-700 ml-4 list-disc">
+                  {result.wall.walls.map((w) => (
+                    <li key={`rw-${w.index}`}>
+                      {w.label}{w.feature ? " (feature)" : ""}: {w.productName} • {w.widthM.toFixed(2)} m × {w.heightM.toFixed(2)} m
+                      {w.openingsAreaM2 > 0 ? ` − openings ${w.openingsAreaM2.toFixed(2)} m²` : ""}
+                      {w.nicheLiningM2 > 0 ? ` + niche lining ${w.nicheLiningM2.toFixed(2)} m²` : ""}
+                      {" "}= {w.areaM2.toFixed(2)} m² • {w.tiles} tiles
+                    </li>
+                  ))}
+                </ul>
+                <div>
+                  Wall Tiles Needed: <strong>{result.wall.tilesNeeded.toLocaleString()}</strong>
+                  <span className="text-xs text-gray-700">
+                    {" "}({LAYOUT_PATTERNS[result.wall.pattern]?.label || result.wall.pattern}, incl. {Math.round((result.wall.wasteFactor || 0) * 100)}% waste)
+                  </span>
+                </div>
+                {result.wall.lines.map((l) => (
+                  <div key={l.key} className="mt-1">
+                    <div className="text-xs text-gray-700">
+                      Wall tile: <strong>{l.product.sku}</strong> {l.product.name} ({l.product.nominalSize}, {l.product.finish}) @ $
+                      {Number(l.tilePrice).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per tile •{" "}
+                      {l.tilesNeeded} tiles for {l.areaM2.toFixed(2)} m²
+                    </div>
+                    <BoxSummary boxes={l.boxes} />
+                  </div>
+                ))}
+                <div>Wall Tile Cost: <strong>${result.wall.totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong></div>
+                <div>
+                  Wall Adhesive (50 lb bags): <strong>{result.wall.adhesiveBags.toLocaleString()}</strong> = $
+                  {result.wall.adhesiveCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </div>
+              </div>
+            )}
+
+            {result.strips?.length > 0 && (
+              <div className="mt-2">
+                <div className="font-medium">Wall strips</div>
+                <ul className="text-xs text-gray-700 list-disc ml-5">
+                  {result.strips.map((st) => (
+                    <li key={st.id}>
+                      {st.label} at {st.bottomM.toFixed(2)} m ({st.wallIndex == null ? "all walls" : wallLabel(st.wallIndex, result.roomShape !== "outline")}):{" "}
+                      {st.linearM.toFixed(2)} m → <strong>{st.pieces}</strong> × {st.pieceMm} mm pcs @ ${st.price.toLocaleString()} = $
+                      {st.cost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    </li>
+                  ))}
+                </ul>
+                <div>
+                  Strips Cost: <strong>${result.stripsCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong>
+                </div>
+              </div>
+            )}
 
             {/* Delivery Summary */}
             {result.delivery && (
@@ -1925,6 +8433,8 @@ export default function App() {
           </div>
         )}
 
+        {projectQuote && <ProjectQuote quote={projectQuote} delivery={deliveryDetails()} />}
+
         {/* Customer Information */}
         <div className="mt-6 border-t pt-4">
           <h3 className="text-md font-semibold mb-3">Customer Information</h3>
@@ -1975,7 +8485,7 @@ export default function App() {
             onClick={handlePlaceOrder}
             className="mt-4 w-full bg-green-600 text-white py-2 rounded hover:bg-green-700"
           >
-            Place Order & Generate Ticket
+            {projectQuote ? `Place Project Order (${rooms.length} rooms) & Generate Ticket` : "Place Order & Generate Ticket"}
           </button>
         )}
       </div>
@@ -2000,9 +8510,46 @@ export default function App() {
                   </div>
                 </div>
                 <div className="text-xs text-gray-700 mt-1">
-                  Rep: {o.salesRep} ({o.employeeId}) • Floor: {o.tile} / Wall: {o.wallTile} • Tiles:{" "}
+                  {o.project ? `Project: ${o.project.name} (${o.project.rooms.map((r) => r.name).join(", ")}) • ` : ""}
+                  Rep: {o.salesRep} ({o.employeeId}) • Floor: {o.tile}
+                  {o.lines?.[0]?.sku ? ` [${o.lines[0].sku}]` : ""}
+                  {o.layout?.floor && o.layout.floor !== "straight" ? ` (${LAYOUT_PATTERNS[o.layout.floor]?.label || o.layout.floor})` : ""}
+                  {" "}/ Wall: {o.wallTile} • Tiles:{" "}
                   {o.tilesNeeded?.toLocaleString?.() || o.tilesNeeded}
+                  {o.boxes ? ` • ${o.boxes.boxes} box(es) / ${o.boxes.pieces} pcs (${o.boxes.m2Covered.toFixed(2)} m², ${o.boxes.leftoverPieces} spare)` : ""}
+                  {o.project
+                    ? ` • ${o.lines.filter((l) => l.surface !== "strip").reduce((n, l) => n + (l.boxes || 0), 0)} box(es) across ${o.lines.filter((l) => l.surface !== "strip").length} product(s)`
+                    : ""}
+                  {o.wallTiling ? ` • Wall tiles: ${o.wallTiling.tilesNeeded.toLocaleString()}` : ""}
+                  {o.wallTiling?.lines
+                    ? ` in ${o.wallTiling.lines.reduce((n, l) => n + l.boxes.boxes, 0)} box(es) (${o.wallTiling.lines.reduce((n, l) => n + l.boxes.leftoverPieces, 0)} spare)`
+                    : o.wallTiling?.boxes
+                    ? ` in ${o.wallTiling.boxes.boxes} box(es) (${o.wallTiling.boxes.leftoverPieces} spare)`
+                    : ""}
+                  {o.untiled ? ` • Untiled under fixed items: ${o.untiled.areaM2.toFixed(2)} m²` : ""}
+                  {o.strips?.length ? ` • Strips: ${o.strips.map((st) => `${st.pieces} ${st.label.toLowerCase()}`).join(", ")}` : ""}
+                  {o.cutPlan?.fullTiles != null
+                    ? ` • Cuts: ${o.cutPlan.cutTiles}${o.cutPlan.slivers ? ` (${o.cutPlan.slivers} slivers)` : ""}`
+                    : ""}
                 </div>
+                {o.design && (
+                  <div className="text-xs mt-1 flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        // As sold: not tied to the saved design, so saving it again starts a new one
+                        openDesign({ ...o.design, id: null });
+                        window.scrollTo({ top: 0, behavior: "smooth" });
+                      }}
+                      className="text-purple-700 underline"
+                    >
+                      Open design in showroom
+                    </button>
+                    <button type="button" onClick={() => duplicateDesign(o.design)} className="text-purple-700 underline">
+                      Start a variant
+                    </button>
+                  </div>
+                )}
                 <div className="text-xs text-gray-700">
                   Tile Total: $
                   {Number(o.totalCost || 0).toLocaleString(undefined, {
@@ -2019,6 +8566,26 @@ export default function App() {
                       })}
                     </>
                   ) : null}
+                  {o.wallTiling ? (
+                    <>
+                      {" "}
+                      • Wall tiles + adhesive: $
+                      {Number((o.wallTiling.totalCost || 0) + (o.wallTiling.adhesiveCost || 0)).toLocaleString(undefined, {
+                        minimumFractionDigits: 2,
+                        maximumFractionDigits: 2,
+                      })}
+                    </>
+                  ) : null}
+                  {o.sundries?.total ? (
+                    <>
+                      {" "}
+                      • Sundries ({o.sundries.items.map((i) => `${i.quantity} ${i.label.toLowerCase()}`).join(", ")}): $
+                      {Number(o.sundries.total).toLocaleString(undefined, {
+                        minimumFractionDigits: 2,
+                        maximumFractionDigits: 2,
+                      })}
+                    </>
+                  ) : null}
                   {o.delivery ? (
                     <>
                       {" "}
@@ -2040,6 +8607,10 @@ export default function App() {
                     o.grandTotal ??
                       (Number(o.totalCost || 0) +
                         Number(o.thinset?.cost || 0) +
+                        Number(o.wallTiling?.totalCost || 0) +
+                        Number(o.wallTiling?.adhesiveCost || 0) +
+                        Number(o.stripsCost || 0) +
+                        Number(o.sundries?.total || 0) +
                         Number(o.delivery?.cost || 0))
                   ).toLocaleString(undefined, {
                     minimumFractionDigits: 2,